@@ -0,0 +1,102 @@
+// 默认价格表（元/m³）：单价按强度等级、构件类型匹配，未匹配时使用默认单价；
+// 泵送费按全部体积计算，外加剂加价按适用的强度等级、构件类型计算（列表为空表示全部适用）
+const DEFAULT_PRICE_TABLE = {
+  defaultPrice: 0,
+  prices: [],
+  pumpFee: 0,
+  surcharges: []
+};
+
+/**
+ * 造价估算模块
+ * 按价格表计算每条记录的混凝土费、泵送费及外加剂加价（净体积 × 单价，金额保留2位小数）
+ * 单价匹配顺序：强度等级+构件类型 → 强度等级 → 构件类型 → 默认单价
+ */
+class CostEstimator {
+  constructor(priceTable = DEFAULT_PRICE_TABLE) {
+    this.priceTable = priceTable;
+  }
+
+  /**
+   * 获取默认价格表（副本）
+   */
+  getDefaultPriceTable() {
+    return { ...DEFAULT_PRICE_TABLE, prices: [], surcharges: [] };
+  }
+
+  /**
+   * 获取记录的混凝土单价
+   */
+  getUnitPrice(record) {
+    const grade = record.grade || '';
+    const find = (g, t) => this.priceTable.prices.find(p => p.grade === g && p.type === t);
+    const item = (grade && find(grade, record.type)) || (grade && find(grade, '')) || find('', record.type);
+    return item ? item.price : this.priceTable.defaultPrice;
+  }
+
+  /**
+   * 获取适用于记录的外加剂加价项
+   */
+  getSurcharges(record) {
+    return this.priceTable.surcharges.filter(s =>
+      (s.grades.length === 0 || s.grades.includes(record.grade)) &&
+      (s.types.length === 0 || s.types.includes(record.type))
+    );
+  }
+
+  /**
+   * 计算单条记录的造价：综合单价 unitPrice 及各项金额
+   */
+  estimate(record) {
+    const price = this.getUnitPrice(record);
+    const surchargePrice = this.getSurcharges(record).reduce((sum, s) => sum + s.price, 0);
+    const concreteCost = round(record.volume * price);
+    const pumpCost = round(record.volume * this.priceTable.pumpFee);
+    const surchargeCost = round(record.volume * surchargePrice);
+    return {
+      unitPrice: round(price + this.priceTable.pumpFee + surchargePrice),
+      concreteCost,
+      pumpCost,
+      surchargeCost,
+      cost: round(concreteCost + pumpCost + surchargeCost)
+    };
+  }
+
+  /**
+   * 汇总造价：合计及按部位小计
+   */
+  summarize(records) {
+    const empty = () => ({ volume: 0, concreteCost: 0, pumpCost: 0, surchargeCost: 0, cost: 0 });
+    const total = empty();
+    const byPart = new Map();
+
+    for (const r of records) {
+      const line = this.estimate(r);
+      const partItem = byPart.get(r.part) || { part: r.part, ...empty() };
+      for (const item of [total, partItem]) {
+        item.volume += r.volume;
+        item.concreteCost += line.concreteCost;
+        item.pumpCost += line.pumpCost;
+        item.surchargeCost += line.surchargeCost;
+        item.cost += line.cost;
+      }
+      byPart.set(r.part, partItem);
+    }
+
+    const roundItem = item => ({
+      ...item,
+      volume: +item.volume.toFixed(3),
+      concreteCost: round(item.concreteCost),
+      pumpCost: round(item.pumpCost),
+      surchargeCost: round(item.surchargeCost),
+      cost: round(item.cost)
+    });
+    return { ...roundItem(total), byPart: [...byPart.values()].map(roundItem) };
+  }
+}
+
+function round(value) {
+  return +value.toFixed(2);
+}
+
+module.exports = CostEstimator;
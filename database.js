@@ -1,6 +1,9 @@
 const fs = require('fs').promises;
 const path = require('path');
-const crypto = require('crypto');
+const XLSX = require('xlsx');
+const PasswordHasher = require('./password-hasher');
+const FormulaRegistry = require('./formulas');
+const CostEstimator = require('./cost-estimator');
 
 /**
  * 简单的文件数据库模块
@@ -54,7 +57,12 @@ class FileDatabase {
       'userRecords.json',
       'userHistory.json',
       'adminAccount.json',
-      'systemSettings.json'
+      'systemSettings.json',
+      'projects.json',
+      'projectRecords.json',
+      'projectHistory.json',
+      'sessions.json',
+      'trash.json'
     ];
 
     for (const file of files) {
@@ -80,17 +88,36 @@ class FileDatabase {
         return {};
       case 'userHistory.json':
         return {};
+      case 'projects.json':
+        return [];
+      case 'projectRecords.json':
+        return {};
+      case 'projectHistory.json':
+        return {};
+      case 'sessions.json':
+        return [];
+      case 'trash.json':
+        return [];
       case 'adminAccount.json':
         return {
           username: 'admin',
-          password: this.hashPassword('admin'),
+          ...new PasswordHasher().createSync('admin'),
           createdAt: new Date().toISOString()
         };
       case 'systemSettings.json':
         return {
           allowRegistration: false,
+          concreteGrades: ['C15', 'C20', 'C25', 'C30', 'C35', 'C40', 'C45', 'C50', 'C30 P6', 'C35 P6', 'C35 P8'],
           maxRecordsPerUser: 1000,
           maxHistoryPerUser: 100,
+          // 构件库：构件类型、可用形状、尺寸名称及计量单位
+          componentCatalog: new FormulaRegistry().getDefaultCatalog(),
+          // 价格表：按强度等级及构件类型的单价、泵送费及外加剂加价（元/m³），项目可单独设置
+          priceTable: new CostEstimator().getDefaultPriceTable(),
+          // 定时备份：间隔小时数及保留的备份数量
+          backupSchedule: { enabled: false, intervalHours: 24, retention: 10 },
+          // 回收站中的数据保留天数，过期后自动清除
+          trashRetentionDays: 30,
           updatedAt: new Date().toISOString()
         };
       default:
@@ -98,14 +125,6 @@ class FileDatabase {
     }
   }
 
-  /**
-   * 密码哈希
-   */
-  hashPassword(password) {
-    const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
-    return crypto.createHash('sha256').update(password + JWT_SECRET).digest('hex');
-  }
-
   /**
    * 安全地写入文件
    */
@@ -194,6 +213,61 @@ class FileDatabase {
     }
   }
 
+  /**
+   * 是否为当前存储后端创建的备份（JSON 文件备份包含 users.json）
+   */
+  isBackupCompatible(files) {
+    return files.includes('users.json');
+  }
+
+  /**
+   * 备份列表（新的在前），包含备份时间及占用空间
+   * 其他存储后端创建的备份无法恢复，不在列表中显示
+   */
+  async listBackups() {
+    const names = (await fs.readdir(this.backupDir)).filter(name => BACKUP_NAME_PATTERN.test(name));
+    const backups = [];
+    for (const name of names) {
+      const backupPath = path.join(this.backupDir, name);
+      const files = await fs.readdir(backupPath);
+      if (!this.isBackupCompatible(files)) continue;
+      let size = 0;
+      for (const file of files) {
+        size += (await fs.stat(path.join(backupPath, file))).size;
+      }
+      backups.push({ name, createdAt: parseBackupTime(name), size, files: files.length });
+    }
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * 获取备份目录，名称不合法、备份不存在或由其他存储后端创建时返回 null
+   */
+  async getBackupPath(name) {
+    if (typeof name !== 'string' || !BACKUP_NAME_PATTERN.test(name)) return null;
+    const backupPath = path.join(this.backupDir, name);
+    try {
+      if (!(await fs.stat(backupPath)).isDirectory()) return null;
+      return this.isBackupCompatible(await fs.readdir(backupPath)) ? backupPath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 将备份打包为 zip（使用 xlsx 自带的 CFB 模块，无需额外依赖）
+   */
+  async archiveBackup(name) {
+    const backupPath = await this.getBackupPath(name);
+    if (!backupPath) return null;
+
+    const zip = XLSX.CFB.utils.cfb_new();
+    for (const file of await fs.readdir(backupPath)) {
+      XLSX.CFB.utils.cfb_add(zip, `${name}/${file}`, await fs.readFile(path.join(backupPath, file)));
+    }
+    return XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer', compression: true });
+  }
+
   /**
    * 用户数据操作
    */
@@ -228,6 +302,15 @@ class FileDatabase {
     await this.saveUsers(filteredUsers);
   }
 
+  async deleteUserData(username) {
+    const userRecords = await this.getUserRecords();
+    const userHistory = await this.getUserHistory();
+    delete userRecords[username];
+    delete userHistory[username];
+    await this.saveUserRecords(userRecords);
+    await this.saveUserHistory(userHistory);
+  }
+
   /**
    * 用户记录数据操作
    */
@@ -276,6 +359,160 @@ class FileDatabase {
     await this.saveUserHistory(userHistory);
   }
 
+  /**
+   * 项目数据操作
+   */
+  async getProjects() {
+    const filePath = path.join(this.dataDir, 'projects.json');
+    return await this.readFile(filePath);
+  }
+
+  async saveProjects(projects) {
+    const filePath = path.join(this.dataDir, 'projects.json');
+    await this.writeFile(filePath, projects);
+  }
+
+  async saveProject(project) {
+    const projects = await this.getProjects();
+    const index = projects.findIndex(p => p.id === project.id);
+    if (index !== -1) {
+      projects[index] = project;
+    } else {
+      projects.push(project);
+    }
+    await this.saveProjects(projects);
+  }
+
+  async deleteProject(projectId) {
+    const projects = await this.getProjects();
+    const projectRecords = await this.getProjectRecords();
+    const projectHistory = await this.getProjectHistory();
+    delete projectRecords[projectId];
+    delete projectHistory[projectId];
+    await this.saveProjects(projects.filter(p => p.id !== projectId));
+    await this.saveProjectRecords(projectRecords);
+    await this.saveProjectHistory(projectHistory);
+  }
+
+  /**
+   * 登录会话（刷新令牌）操作
+   */
+  async getSessions() {
+    const filePath = path.join(this.dataDir, 'sessions.json');
+    return await this.readFile(filePath);
+  }
+
+  async saveSessions(sessions) {
+    const filePath = path.join(this.dataDir, 'sessions.json');
+    await this.writeFile(filePath, sessions);
+  }
+
+  async saveSession(session) {
+    const sessions = await this.getSessions();
+    const index = sessions.findIndex(s => s.id === session.id);
+    if (index !== -1) {
+      sessions[index] = session;
+    } else {
+      sessions.push(session);
+    }
+    await this.saveSessions(sessions);
+  }
+
+  /**
+   * 回收站操作
+   */
+  async getTrash() {
+    const filePath = path.join(this.dataDir, 'trash.json');
+    return await this.readFile(filePath);
+  }
+
+  async saveTrashItem(item) {
+    const trash = await this.getTrash();
+    const index = trash.findIndex(t => t.id === item.id);
+    if (index !== -1) {
+      trash[index] = item;
+    } else {
+      trash.push(item);
+    }
+    await this.writeFile(path.join(this.dataDir, 'trash.json'), trash);
+  }
+
+  async deleteTrashItems(ids) {
+    const trash = await this.getTrash();
+    await this.writeFile(path.join(this.dataDir, 'trash.json'), trash.filter(t => !ids.includes(t.id)));
+  }
+
+  /**
+   * 审计日志：每行一条 JSON，只追加不修改
+   * 不参与备份恢复，恢复数据后仍保留完整的操作记录
+   */
+  async appendAuditLog(entry) {
+    await fs.appendFile(path.join(this.dataDir, 'audit.log'), JSON.stringify(entry) + '\n', 'utf8');
+  }
+
+  /**
+   * 查询审计日志（按时间倒序），filters: { username, actions, dateFrom, dateTo, offset, limit }
+   */
+  async queryAuditLog(filters = {}) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(this.dataDir, 'audit.log'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { entries: [], total: 0 };
+      }
+      throw error;
+    }
+
+    const entries = content.split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => {
+        if (filters.username && entry.username !== filters.username) return false;
+        if (filters.actions && !filters.actions.includes(entry.action)) return false;
+        if (filters.dateFrom && entry.at < filters.dateFrom) return false;
+        if (filters.dateTo && entry.at > filters.dateTo) return false;
+        return true;
+      })
+      .reverse();
+
+    const offset = filters.offset || 0;
+    const limit = filters.limit || entries.length;
+    return { entries: entries.slice(offset, offset + limit), total: entries.length };
+  }
+
+  async getProjectRecords() {
+    const filePath = path.join(this.dataDir, 'projectRecords.json');
+    return await this.readFile(filePath);
+  }
+
+  async saveProjectRecords(projectRecords) {
+    const filePath = path.join(this.dataDir, 'projectRecords.json');
+    await this.writeFile(filePath, projectRecords);
+  }
+
+  async saveProjectRecordsById(projectId, records) {
+    const projectRecords = await this.getProjectRecords();
+    projectRecords[projectId] = records;
+    await this.saveProjectRecords(projectRecords);
+  }
+
+  async getProjectHistory() {
+    const filePath = path.join(this.dataDir, 'projectHistory.json');
+    return await this.readFile(filePath);
+  }
+
+  async saveProjectHistory(projectHistory) {
+    const filePath = path.join(this.dataDir, 'projectHistory.json');
+    await this.writeFile(filePath, projectHistory);
+  }
+
+  async saveProjectHistoryById(projectId, history) {
+    const projectHistory = await this.getProjectHistory();
+    projectHistory[projectId] = history;
+    await this.saveProjectHistory(projectHistory);
+  }
+
   /**
    * 管理员账户数据操作
    */
@@ -294,7 +531,9 @@ class FileDatabase {
    */
   async getSystemSettings() {
     const filePath = path.join(this.dataDir, 'systemSettings.json');
-    return await this.readFile(filePath);
+    const settings = await this.readFile(filePath);
+    // 补齐旧版本设置文件中缺少的配置项
+    return { ...this.getDefaultData('systemSettings.json'), ...settings };
   }
 
   async saveSystemSettings(settings) {
@@ -327,6 +566,28 @@ class FileDatabase {
         console.log(`✅ 迁移用户历史数据`);
       }
       
+      // 迁移项目数据
+      if (memoryData.projects) {
+        await this.saveProjects(memoryData.projects);
+        await this.saveProjectRecords(memoryData.projectRecords || {});
+        await this.saveProjectHistory(memoryData.projectHistory || {});
+        console.log(`✅ 迁移 ${memoryData.projects.length} 个项目`);
+      }
+      
+      // 迁移回收站数据（保留期按原删除时间计算）
+      if (memoryData.trash) {
+        for (const item of memoryData.trash) {
+          await this.saveTrashItem(item);
+        }
+        console.log(`✅ 迁移 ${memoryData.trash.length} 项回收站数据`);
+      }
+      
+      // 迁移登录会话，迁移后用户无需重新登录
+      if (memoryData.sessions) {
+        await this.saveSessions(memoryData.sessions);
+        console.log(`✅ 迁移 ${memoryData.sessions.length} 个登录会话`);
+      }
+      
       // 迁移管理员账户
       if (memoryData.adminAccount) {
         await this.saveAdminAccount(memoryData.adminAccount);
@@ -354,9 +615,11 @@ class FileDatabase {
       const users = await this.getUsers();
       const userRecords = await this.getUserRecords();
       const userHistory = await this.getUserHistory();
+      const projects = await this.getProjects();
       
       const stats = {
         totalUsers: users.length,
+        totalProjects: projects.length,
         totalRecords: 0,
         totalHistoryEntries: 0,
         userStats: []
@@ -389,21 +652,13 @@ class FileDatabase {
    */
   async cleanupOldBackups(maxBackups = 10) {
     try {
-      const backups = await fs.readdir(this.backupDir);
-      const backupPaths = backups
-        .filter(name => name.startsWith('backup_'))
-        .map(name => ({
-          name,
-          path: path.join(this.backupDir, name),
-          time: name.replace('backup_', '').replace(/\.json$/, '')
-        }))
-        .sort((a, b) => new Date(b.time) - new Date(a.time));
+      const backups = await this.listBackups();
       
       // 删除旧的备份
-      if (backupPaths.length > maxBackups) {
-        const toDelete = backupPaths.slice(maxBackups);
+      if (backups.length > maxBackups) {
+        const toDelete = backups.slice(maxBackups);
         for (const backup of toDelete) {
-          await fs.rm(backup.path, { recursive: true, force: true });
+          await fs.rm(path.join(this.backupDir, backup.name), { recursive: true, force: true });
           console.log(`🗑️ 删除旧备份: ${backup.name}`);
         }
       }
@@ -413,4 +668,14 @@ class FileDatabase {
   }
 }
 
+// 备份目录名称：backup_ + ISO 时间（冒号和小数点替换为 -）
+const BACKUP_NAME_PATTERN = /^backup_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+// 从备份名称还原 ISO 时间
+function parseBackupTime(name) {
+  return name
+    .replace('backup_', '')
+    .replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+}
+
 module.exports = FileDatabase; 
\ No newline at end of file
@@ -0,0 +1,24 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    ignores: ['node_modules/', 'data/', 'public/']
+  },
+  js.configs.recommended,
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      // 解构时用剩余属性去除字段（如 const { locationId, ...record } = r）
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }],
+      'no-empty': ['error', { allowEmptyCatch: true }],
+      // 校验特殊字符的正则统一写作 /[<>\"'&]/
+      'no-useless-escape': 'off'
+    }
+  }
+];
@@ -0,0 +1,521 @@
+// 模板接触面积计算规则：按构件类型选择计入的面（底面、两侧面、两端面），不扣除洞口
+const FORMWORK_RULES = {
+  none: { label: '不计算', faces: [] },
+  beam: { label: '底模+两侧', faces: ['bottom', 'sides'] },
+  slab: { label: '底模', faces: ['bottom'] },
+  wall: { label: '两侧', faces: ['sides'] },
+  column: { label: '四周侧模', faces: ['sides', 'ends'] }
+};
+
+// 默认构件库：可用形状（第一个为默认形状）、尺寸名称、计量单位、模板规则及含钢量（kg/m³，可按强度等级覆盖），
+// 管理员可在系统设置中修改
+const DEFAULT_CATALOG = [
+  { type: '梁', shapes: ['rect', 'beam'], labels: {}, unit: 'm³', formwork: 'beam', rebarRatio: 130, gradeRebarRatios: {} },
+  { type: '板', shapes: ['rect', 'slab'], labels: {}, unit: 'm³', formwork: 'slab', rebarRatio: 90, gradeRebarRatios: {} },
+  { type: '墙', shapes: ['rect'], labels: {}, unit: 'm³', formwork: 'wall', rebarRatio: 100, gradeRebarRatios: {} },
+  { type: '柱', shapes: ['rect', 'circle'], labels: {}, unit: 'm³', formwork: 'column', rebarRatio: 160, gradeRebarRatios: {} },
+  { type: '基础', shapes: ['rect', 'trapezoid', 'stepped'], labels: {}, unit: 'm³', formwork: 'column', rebarRatio: 80, gradeRebarRatios: {} },
+  { type: '承台', shapes: ['rect', 'trapezoid'], labels: {}, unit: 'm³', formwork: 'column', rebarRatio: 100, gradeRebarRatios: {} },
+  { type: '楼梯', shapes: ['slab', 'rect'], labels: { area: '斜板面积' }, unit: 'm³', formwork: 'slab', rebarRatio: 110, gradeRebarRatios: {} },
+  { type: '构造柱', shapes: ['rect'], labels: { height: '柱高', thick: '截面宽', length: '截面长' }, unit: 'm³', formwork: 'column', rebarRatio: 120, gradeRebarRatios: {} },
+  { type: '圈梁', shapes: ['rect'], labels: { height: '梁高', thick: '梁宽' }, unit: 'm³', formwork: 'wall', rebarRatio: 120, gradeRebarRatios: {} },
+  { type: '垫层', shapes: ['slab', 'rect'], labels: {}, unit: 'm³', formwork: 'none', rebarRatio: 0, gradeRebarRatios: {} }
+];
+
+/**
+ * 构件体积公式注册表
+ * 按构件类型(record.type)选择可用的形状公式，服务器统一计算体积
+ */
+class FormulaRegistry {
+  constructor() {
+    this.shapes = {};
+    this.typeShapes = {};
+    this.typeLabels = {};
+    this.typeFormwork = {};
+    this.typeRebar = {};
+    this.defaultShapes = ['rect'];
+    this.maxDeductions = 50;
+
+    this.registerBuiltinShapes();
+  }
+
+  /**
+   * 注册内置形状及构件类型
+   */
+  registerBuiltinShapes() {
+    this.registerShape('rect', {
+      label: '矩形',
+      fields: [
+        { key: 'height', label: '高度', unit: 'm', max: 1000 },
+        { key: 'thick', label: '厚度', unit: 'm', max: 100 },
+        { key: 'length', label: '长度', unit: 'm', max: 10000 }
+      ],
+      compute: d => d.height * d.thick * d.length,
+      surfaces: d => ({ bottom: d.thick * d.length, sides: 2 * d.height * d.length, ends: 2 * d.height * d.thick })
+    });
+
+    this.registerShape('circle', {
+      label: '圆形',
+      fields: [
+        { key: 'diameter', label: '直径', unit: 'm', max: 100 },
+        { key: 'height', label: '高度', unit: 'm', max: 1000 }
+      ],
+      compute: d => Math.PI * Math.pow(d.diameter / 2, 2) * d.height,
+      surfaces: d => ({ bottom: Math.PI * Math.pow(d.diameter / 2, 2), sides: Math.PI * d.diameter * d.height, ends: 0 })
+    });
+
+    this.registerShape('slab', {
+      label: '面积×厚度',
+      fields: [
+        { key: 'area', label: '面积', unit: 'm²', max: 100000 },
+        { key: 'thick', label: '厚度', unit: 'm', max: 100 }
+      ],
+      compute: d => d.area * d.thick,
+      // 只知道面积，无法计算周边侧模
+      surfaces: d => ({ bottom: d.area, sides: 0, ends: 0 })
+    });
+
+    this.registerShape('beam', {
+      label: '扣板厚梁',
+      fields: [
+        { key: 'height', label: '梁高', unit: 'm', max: 1000 },
+        { key: 'thick', label: '梁宽', unit: 'm', max: 100 },
+        { key: 'length', label: '长度', unit: 'm', max: 10000 },
+        { key: 'slabThick', label: '板厚', unit: 'm', max: 100 }
+      ],
+      validate: d => (d.slabThick >= d.height ? '板厚必须小于梁高' : null),
+      compute: d => (d.height - d.slabThick) * d.thick * d.length,
+      surfaces: d => ({
+        bottom: d.thick * d.length,
+        sides: 2 * (d.height - d.slabThick) * d.length,
+        ends: 2 * (d.height - d.slabThick) * d.thick
+      })
+    });
+
+    // 棱台公式：V = h / 3 × (S1 + S2 + √(S1 × S2))
+    this.registerShape('trapezoid', {
+      label: '棱台',
+      fields: [
+        { key: 'bottomLength', label: '底长', unit: 'm', max: 1000 },
+        { key: 'bottomWidth', label: '底宽', unit: 'm', max: 1000 },
+        { key: 'topLength', label: '顶长', unit: 'm', max: 1000 },
+        { key: 'topWidth', label: '顶宽', unit: 'm', max: 1000 },
+        { key: 'height', label: '高度', unit: 'm', max: 1000 }
+      ],
+      compute: d => {
+        const bottom = d.bottomLength * d.bottomWidth;
+        const top = d.topLength * d.topWidth;
+        return d.height / 3 * (bottom + top + Math.sqrt(bottom * top));
+      },
+      // 侧模按上下周长平均值 × 高度近似计算
+      surfaces: d => ({
+        bottom: d.bottomLength * d.bottomWidth,
+        sides: (d.bottomLength + d.bottomWidth + d.topLength + d.topWidth) * d.height,
+        ends: 0
+      })
+    });
+
+    this.registerShape('stepped', {
+      label: '阶梯',
+      fields: [
+        { key: 'steps', label: '阶梯(长×宽×高)', unit: 'm', max: 1000, kind: 'steps', maxSteps: 10 }
+      ],
+      compute: d => d.steps.reduce((sum, s) => sum + s.length * s.width * s.height, 0),
+      surfaces: d => ({
+        bottom: d.steps[0].length * d.steps[0].width,
+        sides: d.steps.reduce((sum, s) => sum + 2 * (s.length + s.width) * s.height, 0),
+        ends: 0
+      })
+    });
+
+    this.setCatalog(DEFAULT_CATALOG);
+  }
+
+  /**
+   * 获取默认构件库（副本）
+   */
+  getDefaultCatalog() {
+    return DEFAULT_CATALOG.map(item => ({
+      ...item,
+      shapes: [...item.shapes],
+      labels: { ...item.labels },
+      gradeRebarRatios: { ...item.gradeRebarRatios }
+    }));
+  }
+
+  /**
+   * 获取模板接触面积计算规则
+   */
+  getFormworkRules() {
+    return FORMWORK_RULES;
+  }
+
+  /**
+   * 按构件库替换构件类型及其尺寸名称、模板规则和含钢量（旧构件库缺少时不计算）
+   */
+  setCatalog(catalog) {
+    this.typeShapes = {};
+    this.typeLabels = {};
+    this.typeFormwork = {};
+    this.typeRebar = {};
+    for (const item of catalog) {
+      this.registerType(item.type, item.shapes, item.labels);
+      this.typeFormwork[item.type] = hasOwn(FORMWORK_RULES, item.formwork) ? item.formwork : 'none';
+      this.typeRebar[item.type] = { ratio: item.rebarRatio || 0, grades: item.gradeRebarRatios || {} };
+    }
+  }
+
+  /**
+   * 注册形状公式
+   */
+  registerShape(key, definition) {
+    this.shapes[key] = definition;
+  }
+
+  /**
+   * 注册构件类型可用的形状（第一个为默认形状），labels 按字段替换尺寸名称
+   */
+  registerType(type, shapeKeys, labels = {}) {
+    this.typeShapes[type] = shapeKeys;
+    this.typeLabels[type] = labels;
+  }
+
+  /**
+   * 是否为已注册的构件类型
+   */
+  hasType(type) {
+    return hasOwn(this.typeShapes, type);
+  }
+
+  /**
+   * 获取构件类型可用的形状
+   */
+  getShapesForType(type) {
+    return hasOwn(this.typeShapes, type) ? this.typeShapes[type] : this.defaultShapes;
+  }
+
+  /**
+   * 获取形状定义，不存在时返回 null
+   */
+  getShape(key) {
+    return hasOwn(this.shapes, key) ? this.shapes[key] : null;
+  }
+
+  /**
+   * 获取记录使用的形状（旧记录没有 shape 字段时使用默认形状）
+   */
+  resolveShape(record) {
+    return record.shape || this.getShapesForType(record.type)[0];
+  }
+
+  /**
+   * 获取形状的尺寸字段，按构件类型替换尺寸名称
+   */
+  getFields(shapeKey, type) {
+    const labels = hasOwn(this.typeLabels, type) ? this.typeLabels[type] : {};
+    return this.getShape(shapeKey).fields.map(field =>
+      hasOwn(labels, field.key) ? { ...field, label: labels[field.key] } : field
+    );
+  }
+
+  /**
+   * 校验记录的形状及尺寸，通过时返回 null
+   */
+  getDimensionError(record) {
+    const shapeKey = this.resolveShape(record);
+    const shape = this.getShape(shapeKey);
+    if (!shape || !this.getShapesForType(record.type).includes(shapeKey)) {
+      return '该构件类型不支持所选形状';
+    }
+
+    for (const field of this.getFields(shapeKey, record.type)) {
+      const value = record[field.key];
+
+      if (field.kind === 'steps') {
+        if (!Array.isArray(value) || value.length === 0 || value.length > field.maxSteps) {
+          return `${field.label}必须为1-${field.maxSteps}阶`;
+        }
+        for (const step of value) {
+          if (!step || typeof step !== 'object' ||
+              !['length', 'width', 'height'].every(k => isValidDimension(step[k], field.max))) {
+            return `${field.label}的尺寸必须大于0且不超过${field.max}`;
+          }
+        }
+        continue;
+      }
+
+      if (!isValidDimension(value, field.max)) {
+        return `${field.label}必须大于0且不超过${field.max}`;
+      }
+    }
+
+    return shape.validate ? shape.validate(record) : null;
+  }
+
+  /**
+   * 提取记录形状所需的尺寸字段
+   */
+  pickDimensions(record) {
+    const shapeKey = this.resolveShape(record);
+    const dimensions = { shape: shapeKey };
+
+    for (const field of this.getShape(shapeKey).fields) {
+      const value = record[field.key];
+      dimensions[field.key] = field.kind === 'steps'
+        ? value.map(s => ({ length: Number(s.length), width: Number(s.width), height: Number(s.height) }))
+        : Number(value);
+    }
+
+    return dimensions;
+  }
+
+  /**
+   * 去除记录上的形状及尺寸字段（切换形状时避免残留旧尺寸）
+   */
+  omitDimensions(record) {
+    const keys = new Set(['shape']);
+    for (const shape of Object.values(this.shapes)) {
+      shape.fields.forEach(field => keys.add(field.key));
+    }
+
+    const rest = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (!keys.has(key)) rest[key] = value;
+    }
+    return rest;
+  }
+
+  /**
+   * 计算记录体积（单件体积 × 数量，保留3位小数）
+   */
+  computeVolume(record) {
+    const shape = this.getShape(this.resolveShape(record));
+    return +(shape.compute(record) * record.count).toFixed(3);
+  }
+
+  /**
+   * 计算模板接触面积（按构件类型的模板规则累加单件各面面积 × 数量，保留3位小数）
+   */
+  computeFormworkArea(record) {
+    const shape = this.getShape(this.resolveShape(record));
+    const rule = FORMWORK_RULES[hasOwn(this.typeFormwork, record.type) ? this.typeFormwork[record.type] : 'none'];
+    if (!shape || rule.faces.length === 0) return 0;
+
+    const surfaces = shape.surfaces(record);
+    const perUnit = rule.faces.reduce((sum, face) => sum + surfaces[face], 0);
+    return Number.isFinite(perUnit) ? +(perUnit * record.count).toFixed(3) : 0;
+  }
+
+  /**
+   * 获取含钢量（kg/m³），优先使用构件类型下该强度等级的含钢量
+   */
+  getRebarRatio(type, grade) {
+    if (!hasOwn(this.typeRebar, type)) return 0;
+    const { ratio, grades } = this.typeRebar[type];
+    return grade && hasOwn(grades, grade) ? grades[grade] : ratio;
+  }
+
+  /**
+   * 计算钢筋重量（净体积 × 含钢量，单位吨，保留3位小数）
+   */
+  computeRebarWeight(record) {
+    return +(record.volume * this.getRebarRatio(record.type, record.grade) / 1000).toFixed(3);
+  }
+
+  /**
+   * 校验扣减项（门窗洞口、梁柱节点等），通过时返回 null
+   * 扣减项按单个构件填写：宽 × 高 × 厚 × 数量，厚度留空时取构件厚度
+   */
+  getDeductionError(record) {
+    const deductions = record.deductions;
+    if (deductions === undefined) return null;
+    if (!Array.isArray(deductions) || deductions.length > this.maxDeductions) {
+      return `扣减项最多${this.maxDeductions}项`;
+    }
+
+    for (const d of deductions) {
+      if (!d || typeof d !== 'object') return '扣减项格式不正确';
+      // 逗号、分号用于分隔扣减项文本（录入界面及导入导出）
+      if (d.name !== undefined && (typeof d.name !== 'string' || d.name.length > 50 || /[<>\"'&,，;；]/.test(d.name))) {
+        return '扣减项名称不能超过50个字符且不能包含特殊字符、逗号或分号';
+      }
+      if (!isValidDimension(d.width, 1000) || !isValidDimension(d.height, 1000)) {
+        return '扣减项宽、高必须大于0且不超过1000';
+      }
+      if (d.thick !== undefined && d.thick !== null && !isValidDimension(d.thick, 100)) {
+        return '扣减项厚度必须大于0且不超过100';
+      }
+      if ((d.thick === undefined || d.thick === null) && !isValidDimension(record.thick, 100)) {
+        return '该构件没有厚度，扣减项必须填写厚度';
+      }
+      if (!isValidDimension(d.count, 10000)) {
+        return '扣减项数量必须大于0且不超过10000';
+      }
+    }
+
+    if (this.computeDeductionVolume(record) > this.computeVolume(record)) {
+      return '扣减体积不能超过构件体积';
+    }
+    return null;
+  }
+
+  /**
+   * 提取已校验的扣减项
+   */
+  pickDeductions(record) {
+    return (record.deductions || []).map(d => ({
+      name: typeof d.name === 'string' ? d.name.trim() : '',
+      width: Number(d.width),
+      height: Number(d.height),
+      thick: d.thick === undefined || d.thick === null ? null : Number(d.thick),
+      count: Number(d.count)
+    }));
+  }
+
+  /**
+   * 扣减项写为文本，如 "门洞,1,2.1,,1; 窗洞,1.5,1.5,0.2,2"（名称,宽,高,厚,数量，厚度留空取构件厚度）
+   */
+  formatDeductions(deductions) {
+    return (deductions || [])
+      .map(d => [d.name, d.width, d.height, d.thick === null || d.thick === undefined ? '' : d.thick, d.count].join(','))
+      .join('; ');
+  }
+
+  /**
+   * 从文本读取扣减项（格式同 formatDeductions，数量留空为1），格式不正确时返回 null
+   * 数值由 getDeductionError 校验
+   */
+  parseDeductions(text) {
+    const items = String(text === null || text === undefined ? '' : text).split(/[;；]/).map(item => item.trim()).filter(Boolean);
+    const deductions = [];
+    for (const item of items) {
+      const values = item.split(/[,，]/).map(v => v.trim());
+      if (values.length < 3 || values.length > 5) return null;
+      const [name, width, height, thick = '', count = ''] = values;
+      const toNumber = value => (value === '' ? NaN : Number(value));
+      deductions.push({
+        name,
+        width: toNumber(width),
+        height: toNumber(height),
+        thick: thick === '' ? null : toNumber(thick),
+        count: count === '' ? 1 : toNumber(count)
+      });
+    }
+    return deductions;
+  }
+
+  /**
+   * 计算扣减体积（单个构件扣减量 × 构件数量，保留3位小数）
+   */
+  computeDeductionVolume(record) {
+    const perUnit = (record.deductions || []).reduce((sum, d) => {
+      const thick = d.thick === undefined || d.thick === null ? record.thick : d.thick;
+      return sum + d.width * d.height * thick * d.count;
+    }, 0);
+    return +(perUnit * record.count).toFixed(3);
+  }
+
+  /**
+   * 生成尺寸描述，如 "直径0.6 × 高度3"
+   */
+  describe(record) {
+    const shapeKey = this.resolveShape(record);
+    if (!this.getShape(shapeKey)) return '';
+
+    return this.getFields(shapeKey, record.type).map(field => {
+      const value = record[field.key];
+      if (field.kind === 'steps') {
+        return this.formatDimension(field, value);
+      }
+      return `${field.label}${value}`;
+    }).join(' × ');
+  }
+
+  /**
+   * 导入导出表格的尺寸列：所有形状的尺寸字段，同一字段只出现一次，列名取首个形状中的名称
+   */
+  getDimensionColumns() {
+    const columns = [];
+    for (const shape of Object.values(this.shapes)) {
+      for (const field of shape.fields) {
+        if (!columns.some(column => column.key === field.key)) columns.push(field);
+      }
+    }
+    return columns;
+  }
+
+  /**
+   * 按形状名称或编号查找形状（如 "圆形" 或 "circle"），找不到时返回 null
+   */
+  findShapeKey(text) {
+    if (hasOwn(this.shapes, text)) return text;
+    const entry = Object.entries(this.shapes).find(([, shape]) => shape.label === text);
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * 尺寸写入表格单元格，阶梯写为 "长×宽×高 + 长×宽×高"
+   */
+  formatDimension(field, value) {
+    if (field.kind === 'steps') {
+      return (value || []).map(s => `${s.length}×${s.width}×${s.height}`).join(' + ');
+    }
+    return value;
+  }
+
+  /**
+   * 从表格单元格读取尺寸（空单元格为 NaN，由 getDimensionError 报告）
+   * 阶梯之间可用 + 或分号分隔（与录入界面一致）
+   */
+  parseDimension(field, cell) {
+    const text = cell === null || cell === undefined ? '' : String(cell).trim();
+    if (field.kind === 'steps') {
+      if (!text) return [];
+      return text.split(/[+;；]/).map(step => {
+        const [length, width, height] = step.split(/[×xX*]/).map(v => (v.trim() === '' ? NaN : Number(v)));
+        return { length, width, height };
+      });
+    }
+    return text === '' ? NaN : Number(text);
+  }
+
+  /**
+   * 获取形状标签
+   */
+  getShapeLabel(record) {
+    const shape = this.getShape(this.resolveShape(record));
+    return shape ? shape.label : '';
+  }
+
+  /**
+   * 导出给前端使用的公式定义（不含计算函数）
+   */
+  toJSON() {
+    const shapes = {};
+    for (const [key, shape] of Object.entries(this.shapes)) {
+      shapes[key] = { label: shape.label, fields: shape.fields };
+    }
+    const formworkRules = {};
+    for (const [key, rule] of Object.entries(FORMWORK_RULES)) {
+      formworkRules[key] = rule.label;
+    }
+    return {
+      shapes,
+      types: this.typeShapes,
+      labels: this.typeLabels,
+      formwork: this.typeFormwork,
+      formworkRules,
+      defaultShapes: this.defaultShapes
+    };
+  }
+}
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function isValidDimension(value, max) {
+  return Number.isFinite(value) && value > 0 && value <= max;
+}
+
+module.exports = FormulaRegistry;
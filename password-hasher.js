@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// 哈希版本：1 为旧版 SHA-256(密码 + JWT_SECRET)，2 为 scrypt 加盐哈希
+const LEGACY_HASH_VERSION = 1;
+const CURRENT_HASH_VERSION = 2;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * 密码哈希模块
+ * 使用 scrypt 及每个用户独立的随机盐，与 JWT 密钥无关；
+ * 旧版哈希仅在设置了 LEGACY_PASSWORD_SECRET 或 JWT_SECRET 时可校验，登录成功后自动升级
+ */
+class PasswordHasher {
+  constructor(options = {}) {
+    this.legacySecret = options.legacySecret || process.env.LEGACY_PASSWORD_SECRET || process.env.JWT_SECRET || null;
+  }
+
+  /**
+   * 生成哈希，格式为 scrypt$N$r$p$盐$哈希
+   */
+  async hash(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+    return this.encode(salt, key);
+  }
+
+  /**
+   * 同步生成哈希（用于初始化默认数据）
+   */
+  hashSync(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+    return this.encode(salt, key);
+  }
+
+  encode(salt, key) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+  }
+
+  /**
+   * 生成带版本号的账户密码字段
+   */
+  async create(password) {
+    return { password: await this.hash(password), hashVersion: CURRENT_HASH_VERSION };
+  }
+
+  createSync(password) {
+    return { password: this.hashSync(password), hashVersion: CURRENT_HASH_VERSION };
+  }
+
+  /**
+   * 校验账户（用户或管理员）的密码
+   */
+  async verify(password, account) {
+    if (!account || typeof account.password !== 'string') return false;
+
+    if ((account.hashVersion || LEGACY_HASH_VERSION) === LEGACY_HASH_VERSION) {
+      if (!this.legacySecret) return false;
+      const legacy = crypto.createHash('sha256').update(password + this.legacySecret).digest('hex');
+      return safeEqual(Buffer.from(legacy), Buffer.from(account.password));
+    }
+
+    const parts = account.password.split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p)
+    });
+    return safeEqual(key, expected);
+  }
+
+  /**
+   * 是否需要用当前算法重新哈希（旧版哈希或参数已变更）
+   */
+  needsRehash(account) {
+    if (!account || account.hashVersion !== CURRENT_HASH_VERSION) return true;
+    const { N, r, p } = SCRYPT_PARAMS;
+    return !account.password.startsWith(`scrypt$${N}$${r}$${p}$`);
+  }
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = PasswordHasher;
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+// 常见系统中文字体位置（TTC 字体需指定字体名称），可通过 PDF_FONT_PATH / PDF_FONT_NAME 指定
+const FONT_CANDIDATES = [
+  { path: '/usr/share/fonts/wqy-zenhei/wqy-zenhei.ttc', name: 'WenQuanYiZenHei' },
+  { path: '/usr/share/fonts/truetype/wqy/wqy-zenhei.ttc', name: 'WenQuanYiZenHei' },
+  { path: '/usr/share/fonts/noto/NotoSansCJK-Regular.ttc', name: 'NotoSansCJKsc-Regular' },
+  { path: '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc', name: 'NotoSansCJKsc-Regular' },
+  { path: 'C:\\Windows\\Fonts\\simhei.ttf' },
+  { path: 'C:\\Windows\\Fonts\\msyh.ttc', name: 'MicrosoftYaHei' }
+];
+
+// 打印时输出的工作表类型：部位×构件汇总、模板及钢筋汇总、造价汇总及各部位明细
+const PRINT_SHEET_KINDS = ['summary', 'quantity', 'cost', 'part'];
+
+/**
+ * 工程量计算书打印模块
+ * 将导出报表渲染为 PDF 或可打印的 HTML，包含页眉、页码、小计、总计及签字栏
+ */
+class ReportPrinter {
+  constructor(options = {}) {
+    this.fontPath = options.fontPath || process.env.PDF_FONT_PATH || null;
+    this.fontName = options.fontName || process.env.PDF_FONT_NAME || undefined;
+    this.signatures = options.signatures || ['计算人', '复核人'];
+    this.pageMargin = 40;
+    this.rowHeight = 20;
+    this.fontSize = 9;
+  }
+
+  /**
+   * 查找可用的中文字体，找不到时返回 null
+   */
+  resolveFont() {
+    if (this.fontPath) {
+      return fs.existsSync(this.fontPath) ? { path: this.fontPath, name: this.fontName } : null;
+    }
+    return FONT_CANDIDATES.find(font => fs.existsSync(font.path)) || null;
+  }
+
+  hasFont() {
+    return this.resolveFont() !== null;
+  }
+
+  /**
+   * 格式化单元格
+   */
+  formatCell(value, column) {
+    if (value === undefined || value === null) return '';
+    if (column.format === '0.000' && typeof value === 'number') return value.toFixed(3);
+    if (column.format === '0.00' && typeof value === 'number') return value.toFixed(2);
+    return String(value);
+  }
+
+  /**
+   * 是否为小计/合计行（没有序号的明细行）
+   */
+  isSubtotalRow(row, sheet) {
+    return sheet.kind === 'part' ? row.index === undefined : row.part === '合计';
+  }
+
+  /**
+   * 总计行文字
+   */
+  formatTotal(total) {
+    return `总计：构件 ${total.count} 件，毛体积 ${total.grossVolume.toFixed(3)} m³，扣减 ${total.deductionVolume.toFixed(3)} m³，` +
+      `净体积 ${total.volume.toFixed(3)} m³，模板 ${total.formworkArea.toFixed(3)} m²，钢筋 ${total.rebarWeight.toFixed(3)} t` +
+      (total.cost === undefined ? '' : `，造价 ${total.cost.toFixed(2)} 元`);
+  }
+
+  getPrintSheets(report) {
+    return report.sheets.filter(sheet => PRINT_SHEET_KINDS.includes(sheet.kind));
+  }
+
+  /**
+   * 生成 PDF，返回 Promise<Buffer>
+   */
+  renderPdf(report) {
+    const font = this.resolveFont();
+    if (!font) {
+      return Promise.reject(new Error('未找到中文字体，请设置 PDF_FONT_PATH'));
+    }
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          layout: 'landscape',
+          margins: { top: 60, bottom: 50, left: this.pageMargin, right: this.pageMargin },
+          bufferPages: true
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.registerFont('cjk', font.path, font.name);
+        doc.font('cjk');
+
+        // 标题及表头信息
+        doc.fontSize(18).text(report.title, { align: 'center' });
+        doc.moveDown(0.5);
+        doc.fontSize(10).text(report.info.map(([label, value]) => `${label}：${value}`).join('      '), { align: 'center' });
+        doc.moveDown(1);
+
+        for (const sheet of this.getPrintSheets(report)) {
+          this.drawPdfTable(doc, sheet);
+        }
+
+        this.drawPdfTotal(doc, report.total);
+        this.drawPdfSignatures(doc);
+        this.drawPdfPageHeaders(doc, report);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * 绘制表格，换页时重复列标题
+   */
+  drawPdfTable(doc, sheet) {
+    const width = doc.page.width - this.pageMargin * 2;
+    const totalWeight = sheet.columns.reduce((sum, col) => sum + (col.width || 12), 0);
+    const widths = sheet.columns.map(col => width * (col.width || 12) / totalWeight);
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const drawRow = (cells, options = {}) => {
+      if (doc.y + this.rowHeight > bottom()) {
+        doc.addPage();
+        if (!options.header) drawHeader();
+      }
+      const y = doc.y;
+      let x = this.pageMargin;
+      if (options.fill) {
+        doc.rect(x, y, width, this.rowHeight).fill(options.fill).fillColor('black');
+      }
+      cells.forEach((text, i) => {
+        doc.rect(x, y, widths[i], this.rowHeight).stroke();
+        doc.fontSize(this.fontSize).text(text, x + 3, y + 6, {
+          width: widths[i] - 6,
+          height: this.rowHeight - 6,
+          align: sheet.columns[i].format ? 'right' : 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+        x += widths[i];
+      });
+      doc.x = this.pageMargin;
+      doc.y = y + this.rowHeight;
+    };
+    const drawHeader = () => drawRow(sheet.columns.map(col => col.header), { header: true, fill: '#eeeeee' });
+
+    // 标题与至少一行数据保持在同一页
+    if (doc.y + this.rowHeight * 3 + 20 > bottom()) {
+      doc.addPage();
+    }
+    doc.fontSize(12).text(sheet.kind === 'part' ? `部位：${sheet.name}` : sheet.name, this.pageMargin, doc.y);
+    doc.moveDown(0.3);
+
+    drawHeader();
+    for (const row of sheet.rows) {
+      drawRow(
+        sheet.columns.map(col => this.formatCell(row[col.key], col)),
+        { fill: this.isSubtotalRow(row, sheet) ? '#f5f5f5' : null }
+      );
+    }
+    doc.moveDown(1);
+  }
+
+  /**
+   * 绘制总计
+   */
+  drawPdfTotal(doc, total) {
+    if (doc.y + 40 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    doc.fontSize(11).text(
+      this.formatTotal(total),
+      this.pageMargin,
+      doc.y
+    );
+    doc.moveDown(2);
+  }
+
+  /**
+   * 绘制签字栏
+   */
+  drawPdfSignatures(doc) {
+    if (doc.y + 60 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const text = this.signatures.map(label => `${label}：________________   日期：____________`).join('          ');
+    doc.fontSize(11).text(text, this.pageMargin, doc.y + 20);
+  }
+
+  /**
+   * 为每一页添加页眉和页码
+   */
+  drawPdfPageHeaders(doc, report) {
+    const range = doc.bufferedPageRange();
+    const project = (report.info.find(([label]) => label === '项目') || [])[1] || '';
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const { width, height } = doc.page;
+      // 临时取消下边距，避免在页边距内写字时自动换页
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      doc.fontSize(8)
+        .text(`${report.title}  ${project}`, this.pageMargin, 30, { width: width - this.pageMargin * 2, align: 'left', lineBreak: false })
+        .moveTo(this.pageMargin, 45)
+        .lineTo(width - this.pageMargin, 45)
+        .stroke();
+      doc.text(`第 ${i + 1} 页 / 共 ${range.count} 页`, this.pageMargin, height - 35, {
+        width: width - this.pageMargin * 2,
+        align: 'center',
+        lineBreak: false
+      });
+
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  /**
+   * 生成可打印的 HTML 页面
+   */
+  renderHtml(report) {
+    const tables = this.getPrintSheets(report).map(sheet => {
+      const header = sheet.columns.map(col => `<th>${escapeHtml(col.header)}</th>`).join('');
+      const rows = sheet.rows.map(row => {
+        const cells = sheet.columns.map(col =>
+          `<td${col.format ? ' class="num"' : ''}>${escapeHtml(this.formatCell(row[col.key], col))}</td>`
+        ).join('');
+        return `<tr${this.isSubtotalRow(row, sheet) ? ' class="subtotal"' : ''}>${cells}</tr>`;
+      }).join('\n');
+
+      return `
+  <section>
+    <h2>${escapeHtml(sheet.kind === 'part' ? `部位：${sheet.name}` : sheet.name)}</h2>
+    <table>
+      <thead><tr>${header}</tr></thead>
+      <tbody>
+${rows}
+      </tbody>
+    </table>
+  </section>`;
+    }).join('\n');
+
+    const info = report.info.map(([label, value]) => `<span>${escapeHtml(label)}：${escapeHtml(value)}</span>`).join('');
+    const total = report.total;
+    const signatures = this.signatures
+      .map(label => `<div>${escapeHtml(label)}：<span class="line"></span> 日期：<span class="line short"></span></div>`)
+      .join('');
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(report.title)}</title>
+  <style>
+    @page {
+      size: A4 landscape;
+      margin: 15mm;
+      @top-left { content: "${escapeCss(report.title)}"; font-size: 9pt; }
+      @bottom-center { content: "第 " counter(page) " 页 / 共 " counter(pages) " 页"; font-size: 9pt; }
+    }
+    body { font-family: "Microsoft YaHei", "PingFang SC", "Noto Sans CJK SC", sans-serif; font-size: 10pt; color: #000; }
+    h1 { text-align: center; font-size: 18pt; margin: 0 0 8px; }
+    .info { text-align: center; margin-bottom: 16px; }
+    .info span { margin: 0 16px; }
+    h2 { font-size: 12pt; margin: 16px 0 6px; }
+    table { width: 100%; border-collapse: collapse; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    th, td { border: 1px solid #000; padding: 3px 5px; text-align: left; }
+    th { background: #eee; }
+    td.num { text-align: right; }
+    tr.subtotal td { background: #f5f5f5; font-weight: bold; }
+    .total { margin-top: 16px; font-weight: bold; }
+    .signatures { display: flex; justify-content: space-around; margin-top: 40px; page-break-inside: avoid; }
+    .line { display: inline-block; width: 120px; border-bottom: 1px solid #000; }
+    .line.short { width: 80px; }
+    .toolbar { text-align: right; margin-bottom: 8px; }
+    @media print { .toolbar { display: none; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">打印</button></div>
+  <h1>${escapeHtml(report.title)}</h1>
+  <div class="info">${info}</div>
+${tables}
+  <p class="total">${escapeHtml(this.formatTotal(total))}</p>
+  <div class="signatures">${signatures}</div>
+</body>
+</html>`;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeCss(value) {
+  return String(value).replace(/[\\"]/g, '\\$&').replace(/[\r\n]/g, ' ');
+}
+
+module.exports = ReportPrinter;
@@ -4,19 +4,33 @@ const port = process.env.PORT || 3000;
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const crypto = require('crypto');
+const path = require('path');
 const rateLimit = require('express-rate-limit');
 
 // 导入安全模块
 const SecureExcelProcessor = require('./xlsx-security-fix');
-const FileDatabase = require('./database');
+const { createDatabase } = require('./storage');
+const FormulaRegistry = require('./formulas');
+const ReportPrinter = require('./report-printer');
+const CostEstimator = require('./cost-estimator');
+const PasswordHasher = require('./password-hasher');
 
 // 初始化安全模块
 const secureExcel = new SecureExcelProcessor();
-const db = new FileDatabase();
+const formulas = new FormulaRegistry();
+const reportPrinter = new ReportPrinter();
+const passwordHasher = new PasswordHasher();
 
 // 环境变量配置
 const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const DB_DRIVER = process.env.DB_DRIVER || 'sqlite';
+const DATA_DIR = process.env.DATA_DIR || './data'; // 数据及备份目录
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'; // 访问令牌有效期
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 7; // 刷新令牌有效天数
+
+// 初始化存储
+const db = createDatabase(DB_DRIVER, DATA_DIR);
 
 // 安全配置
 app.use(cors({
@@ -59,16 +73,81 @@ let users = []; // 存储注册用户
 let userRecords = {}; // 用户数据隔离：{ username: [records] }
 let userHistory = {}; // 用户历史数据：{ username: [{ id, name, records, createdAt, updatedAt }] }
 
-// 管理员相关数据
-let adminAccount = null; // 将从数据库加载
-let systemSettings = { allowRegistration: false }; // 系统设置
+// 项目数据：多人共享的记录和历史
+let projects = []; // [{ id, name, site, owner, members: [{ username, role }], createdAt, updatedAt }]
+let projectRecords = {}; // { projectId: [records] }
+let projectHistory = {}; // { projectId: [history] }
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+// 系统角色及权限：带 admin.access 的角色可登录管理后台
+const USER_ROLES = {
+  super_admin: {
+    label: '超级管理员',
+    permissions: ['admin.access', 'users.read', 'users.manage', 'roles.manage', 'settings.read', 'settings.manage', 'sessions.manage', 'audit.read', 'backups.manage', 'trash.manage', 'records.read', 'records.write']
+  },
+  user_manager: {
+    label: '用户管理员',
+    permissions: ['admin.access', 'users.read', 'users.manage', 'sessions.manage', 'settings.read', 'records.read', 'records.write']
+  },
+  auditor: {
+    label: '审计员（只读）',
+    permissions: ['admin.access', 'users.read', 'settings.read', 'audit.read', 'records.read']
+  },
+  engineer: {
+    label: '工程师',
+    permissions: ['records.read', 'records.write']
+  },
+  reviewer: {
+    label: '审核人',
+    permissions: ['records.read']
+  }
+};
+const DEFAULT_USER_ROLE = 'engineer';
+
+// 系统设置
+let systemSettings = db.getDefaultData('systemSettings.json'); // 系统设置
+formulas.setCatalog(systemSettings.componentCatalog);
+
+// 登录会话：每次登录一个会话，只保存刷新令牌的哈希
+let sessions = []; // [{ id, username, role, tokenHash, previousTokenHash, userAgent, createdAt, lastUsedAt, expiresAt }]
+const MAX_SESSIONS_PER_ACCOUNT = 10;
+
+// 回收站：删除的记录、历史数据及用户，超过保留天数后自动清除
+let trash = []; // [{ id, kind, scope, reason, deletedAt, deletedBy, data }]
+const TRASH_KINDS = { records: '记录', history: '历史数据', user: '用户', project: '项目' };
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// 部位层级：单体/楼栋 → 楼层 → 区段/轴线，记录的部位为节点的完整名称
+const LOCATION_LEVELS = [
+  { level: 'building', label: '单体/楼栋' },
+  { level: 'floor', label: '楼层' },
+  { level: 'zone', label: '区段/轴线' }
+];
+const LOCATION_PATH_SEPARATOR = '/';
+const MAX_LOCATIONS = 500;
+
+// 浇筑批次状态：计划 → 已浇筑 → 已验收，已浇筑可退回计划，已验收后不能再修改或删除
+const POUR_STATUSES = {
+  planned: { label: '计划', next: ['poured'] },
+  poured: { label: '已浇筑', next: ['verified', 'planned'] },
+  verified: { label: '已验收', next: [] }
+};
+const MAX_POURS = 1000;
+const MAX_POUR_RECORDS = 1000;
+const MAX_POUR_TICKETS = 100;
 
 // 数据库初始化标志
 let dbInitialized = false;
 
-// 密码哈希函数
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password + JWT_SECRET).digest('hex');
+// 定时备份计时器；备份或恢复进行中时拒绝新的备份操作
+let backupTimer = null;
+let backupInProgress = false;
+
+// 登录成功后将旧版密码哈希升级为当前算法，返回是否已升级
+async function upgradePasswordHash(account, password) {
+  if (!passwordHasher.needsRehash(account)) return false;
+  Object.assign(account, await passwordHasher.create(password));
+  return true;
 }
 
 // 输入验证函数
@@ -88,22 +167,33 @@ function validatePassword(password) {
   return true;
 }
 
-function validateRecord(record) {
-  if (!record || typeof record !== 'object') return false;
-  if (!record.part || typeof record.part !== 'string' || record.part.length > 100) return false;
-  if (!record.type || typeof record.type !== 'string' || record.type.length > 50) return false;
-  if (!record.number || typeof record.number !== 'string' || record.number.length > 50) return false;
-  if (typeof record.height !== 'number' || record.height <= 0 || record.height > 1000) return false;
-  if (typeof record.thick !== 'number' || record.thick <= 0 || record.thick > 100) return false;
-  if (typeof record.length !== 'number' || record.length <= 0 || record.length > 10000) return false;
-  if (typeof record.count !== 'number' || record.count <= 0 || record.count > 10000) return false;
+// 返回记录的校验错误信息，校验通过时返回 null
+function getRecordError(record) {
+  if (!record || typeof record !== 'object') return '数据格式不正确';
+  if (!record.part || typeof record.part !== 'string' || record.part.length > 100) return '部位不能为空且不超过100个字符';
+  if (!record.type || typeof record.type !== 'string' || record.type.length > 50) return '构件不能为空且不超过50个字符';
+  if (!formulas.hasType(record.type)) return '构件类型不在构件库中';
+  if (!record.number || typeof record.number !== 'string' || record.number.length > 50) return '编号不能为空且不超过50个字符';
+  if (record.shape !== undefined && typeof record.shape !== 'string') return '形状格式不正确';
+  if (record.locationId !== undefined && record.locationId !== null &&
+      (typeof record.locationId !== 'string' || record.locationId.length > 64)) return '部位层级节点格式不正确';
+  if (record.grade !== undefined && record.grade !== '' && !systemSettings.concreteGrades.includes(record.grade)) {
+    return '混凝土强度等级不在允许列表中';
+  }
+  if (!Number.isFinite(record.count) || record.count <= 0 || record.count > 10000) return '数量必须大于0且不超过10000';
   
   // 检查字符串字段是否包含危险字符
   if (/[<>\"'&]/.test(record.part) || /[<>\"'&]/.test(record.type) || /[<>\"'&]/.test(record.number)) {
-    return false;
+    return '部位、构件、编号不能包含特殊字符';
+  }
+
+  // 记录查询中多个部位用逗号分隔
+  if (record.part.includes(',')) {
+    return '部位不能包含逗号';
   }
   
-  return true;
+  // 按构件形状校验尺寸及扣减项
+  return formulas.getDimensionError(record) || formulas.getDeductionError(record);
 }
 
 function sanitizeString(str) {
@@ -111,38 +201,1123 @@ function sanitizeString(str) {
   return str.replace(/[<>]/g, '').trim();
 }
 
-// 中间件：验证用户是否登录
-function verifyToken(req, res, next) {
-  const token = req.headers['authorization'];
+// 规范化已校验的记录数据，体积由服务器按形状公式计算
+function normalizeRecord(r) {
+  const record = {
+    part: sanitizeString(r.part),
+    type: sanitizeString(r.type),
+    number: sanitizeString(r.number),
+    grade: r.grade ? sanitizeString(r.grade) : '',
+    ...formulas.pickDimensions(r),
+    count: Number(r.count),
+    deductions: formulas.pickDeductions(r)
+  };
+  if (r.locationId) {
+    record.locationId = r.locationId;
+  }
+  // volume 为扣减后的净体积
+  record.grossVolume = formulas.computeVolume(record);
+  record.deductionVolume = formulas.computeDeductionVolume(record);
+  record.volume = +(record.grossVolume - record.deductionVolume).toFixed(3);
+  // 模板面积、钢筋重量按构件库的模板规则及含钢量计算
+  record.formworkArea = formulas.computeFormworkArea(record);
+  record.rebarWeight = formulas.computeRebarWeight(record);
+  return record;
+}
 
-  if (!token) {
-    return res.status(403).json({ message: '未授权访问' });
+// 根据已校验的数据构建新记录
+function buildRecord(r, username) {
+  return {
+    ...normalizeRecord(r),
+    createdAt: new Date().toISOString(),
+    createdBy: username,
+    id: crypto.randomUUID(),
+    version: 1
+  };
+}
+
+// 按当前构件库重新计算记录的模板面积及钢筋重量，返回是否有修改
+function updateRecordQuantities(records) {
+  let changed = false;
+  for (const record of records) {
+    const formworkArea = formulas.computeFormworkArea(record);
+    const rebarWeight = formulas.computeRebarWeight(record);
+    if (record.formworkArea !== formworkArea || record.rebarWeight !== rebarWeight) {
+      record.formworkArea = formworkArea;
+      record.rebarWeight = rebarWeight;
+      changed = true;
+    }
   }
+  return changed;
+}
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: '无效的Token' });
+// 为缺少ID或使用旧版数字ID的记录分配UUID及版本号，返回是否有修改
+function ensureRecordIds(records) {
+  let changed = false;
+  for (const record of records) {
+    if (typeof record.id !== 'string') {
+      record.id = crypto.randomUUID();
+      changed = true;
     }
-    req.user = user;
-    next();
+    if (!Number.isInteger(record.version)) {
+      record.version = 1;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// 校验混凝土强度等级列表
+function validateConcreteGrades(grades) {
+  if (!Array.isArray(grades) || grades.length === 0 || grades.length > 50) return false;
+  for (const grade of grades) {
+    if (typeof grade !== 'string' || !grade.trim() || grade.length > 30) return false;
+    if (/[<>\"'&]/.test(grade)) return false;
+  }
+  return new Set(grades.map(g => g.trim())).size === grades.length;
+}
+
+// 校验构件库：1-100种不重复的构件类型，每种至少一个已注册的形状，
+// 尺寸名称只能替换所选形状中的字段，计量单位不超过10个字符
+function validateComponentCatalog(catalog) {
+  if (!Array.isArray(catalog) || catalog.length === 0 || catalog.length > 100) return false;
+  for (const item of catalog) {
+    if (!item || typeof item !== 'object') return false;
+    const { type, shapes, labels = {}, unit } = item;
+    if (typeof type !== 'string' || !type.trim() || type.length > 50 || /[<>\"'&]/.test(type)) return false;
+    if (!Array.isArray(shapes) || shapes.length === 0 || new Set(shapes).size !== shapes.length) return false;
+    if (!shapes.every(key => typeof key === 'string' && formulas.getShape(key))) return false;
+    if (!labels || typeof labels !== 'object' || Array.isArray(labels)) return false;
+    const fieldKeys = new Set(shapes.flatMap(key => formulas.getShape(key).fields.map(f => f.key)));
+    for (const [key, label] of Object.entries(labels)) {
+      if (!fieldKeys.has(key) || typeof label !== 'string' || !label.trim() || label.length > 20 || /[<>\"'&]/.test(label)) return false;
+    }
+    if (typeof unit !== 'string' || !unit.trim() || unit.length > 10 || /[<>\"'&]/.test(unit)) return false;
+    if (item.formwork !== undefined && !Object.prototype.hasOwnProperty.call(formulas.getFormworkRules(), item.formwork)) return false;
+    if (item.rebarRatio !== undefined && !validateRebarRatio(item.rebarRatio)) return false;
+    const { gradeRebarRatios = {} } = item;
+    if (!gradeRebarRatios || typeof gradeRebarRatios !== 'object' || Array.isArray(gradeRebarRatios)) return false;
+    if (Object.keys(gradeRebarRatios).length > 50) return false;
+    for (const [grade, ratio] of Object.entries(gradeRebarRatios)) {
+      if (!grade.trim() || grade.length > 30 || /[<>\"'&]/.test(grade) || !validateRebarRatio(ratio)) return false;
+    }
+  }
+  return new Set(catalog.map(item => item.type.trim())).size === catalog.length;
+}
+
+// 价格表中单价、泵送费及加价的上限（元/m³）
+const MAX_UNIT_PRICE = 100000;
+
+// 校验单价：0 到上限之间的数值
+function validateUnitPrice(price) {
+  return Number.isFinite(price) && price >= 0 && price <= MAX_UNIT_PRICE;
+}
+
+// 校验价格表：{ defaultPrice, prices: [{ grade, type, price }], pumpFee, surcharges: [{ name, price, grades, types }] }，
+// 单价的强度等级、构件类型至少填写一项，留空表示全部适用
+function validatePriceTable(table) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) return false;
+  const { defaultPrice, prices, pumpFee, surcharges } = table;
+  if (!validateUnitPrice(defaultPrice) || !validateUnitPrice(pumpFee)) return false;
+  const isText = (value, max) => typeof value === 'string' && value.length <= max && !/[<>\"'&]/.test(value);
+
+  if (!Array.isArray(prices) || prices.length > 500) return false;
+  for (const item of prices) {
+    if (!item || typeof item !== 'object') return false;
+    if (!isText(item.grade, 30) || !isText(item.type, 50) || (!item.grade.trim() && !item.type.trim())) return false;
+    if (!validateUnitPrice(item.price)) return false;
+  }
+  if (new Set(prices.map(item => `${item.grade.trim()}\u0000${item.type.trim()}`)).size !== prices.length) return false;
+
+  if (!Array.isArray(surcharges) || surcharges.length > 50) return false;
+  for (const item of surcharges) {
+    if (!item || typeof item !== 'object') return false;
+    if (!isText(item.name, 30) || !item.name.trim() || !validateUnitPrice(item.price)) return false;
+    for (const [key, max] of [['grades', 30], ['types', 50]]) {
+      const list = item[key] === undefined ? [] : item[key];
+      if (!Array.isArray(list) || list.length > 100 || !list.every(v => isText(v, max) && v.trim())) return false;
+    }
+  }
+  return true;
+}
+
+// 规范化已校验的价格表
+function normalizePriceTable(table) {
+  return {
+    defaultPrice: table.defaultPrice,
+    prices: table.prices.map(item => ({
+      grade: sanitizeString(item.grade),
+      type: sanitizeString(item.type),
+      price: item.price
+    })),
+    pumpFee: table.pumpFee,
+    surcharges: table.surcharges.map(item => ({
+      name: sanitizeString(item.name),
+      price: item.price,
+      grades: (item.grades || []).map(v => sanitizeString(v)),
+      types: (item.types || []).map(v => sanitizeString(v))
+    }))
+  };
+}
+
+// 校验含钢量：0-1000 kg/m³，0 表示不计算钢筋
+function validateRebarRatio(ratio) {
+  return Number.isFinite(ratio) && ratio >= 0 && ratio <= 1000;
+}
+
+// 配额上限：每个用户或项目的记录数量、历史数据数量
+const QUOTA_LIMITS = { maxRecords: 100000, maxHistory: 1000 };
+
+// 校验配额：1 到上限之间的整数
+function validateQuota(value, max) {
+  return Number.isInteger(value) && value >= 1 && value <= max;
+}
+
+// 校验单个用户或项目的配额覆盖：{ maxRecords, maxHistory }，值为 null 时使用系统默认配额
+function validateQuotaOverride(quota) {
+  if (!quota || typeof quota !== 'object' || Array.isArray(quota)) return false;
+  if (quota.maxRecords === undefined && quota.maxHistory === undefined) return false;
+  for (const key of Object.keys(QUOTA_LIMITS)) {
+    if (quota[key] !== undefined && quota[key] !== null && !validateQuota(quota[key], QUOTA_LIMITS[key])) return false;
+  }
+  return Object.keys(quota).every(key => QUOTA_LIMITS[key]);
+}
+
+// 校验回收站保留天数：1-365天
+function validateTrashRetentionDays(days) {
+  return Number.isInteger(days) && days >= 1 && days <= 365;
+}
+
+// 校验定时备份设置：间隔1-168小时（setInterval 最长约24天），保留1-100个备份
+function validateBackupSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) return false;
+  if (typeof schedule.enabled !== 'boolean') return false;
+  if (!Number.isInteger(schedule.intervalHours) || schedule.intervalHours < 1 || schedule.intervalHours > 168) return false;
+  if (!Number.isInteger(schedule.retention) || schedule.retention < 1 || schedule.retention > 100) return false;
+  return true;
+}
+
+// 汇总构件数及体积：按强度等级及强度等级×部位分组（未指定等级的记录归入"未指定"）
+function summarizeByGrade(records) {
+  const byGrade = new Map();
+  const byGradePart = new Map();
+
+  for (const r of records) {
+    const grade = r.grade || '未指定';
+    const gradeItem = byGrade.get(grade) || { grade, count: 0, volume: 0, rebarWeight: 0 };
+    gradeItem.count += r.count;
+    gradeItem.volume += r.volume;
+    gradeItem.rebarWeight += r.rebarWeight || 0;
+    byGrade.set(grade, gradeItem);
+
+    const key = `${grade}\u0000${r.part}`;
+    const partItem = byGradePart.get(key) || { grade, part: r.part, count: 0, volume: 0, rebarWeight: 0 };
+    partItem.count += r.count;
+    partItem.volume += r.volume;
+    partItem.rebarWeight += r.rebarWeight || 0;
+    byGradePart.set(key, partItem);
+  }
+
+  const round = item => ({ ...item, volume: +item.volume.toFixed(3), rebarWeight: +item.rebarWeight.toFixed(3) });
+  return {
+    byGrade: [...byGrade.values()].map(round),
+    byGradePart: [...byGradePart.values()].map(round)
+  };
+}
+
+// 可重新导入的明细表名称：Excel 报表中的该工作表及 CSV 导出使用同一份列定义（buildExportSheets），
+// 导入时 Excel 读取该工作表，CSV 直接读取
+const IMPORT_SHEET = '混凝土量';
+
+// 生成明细及扣减明细表数据（报表中可重新导入的明细表）
+function buildExportSheets(records, username, estimator = new CostEstimator()) {
+  const costs = records.map(r => estimator.estimate(r));
+  const details = records.map((r, idx) => ({
+    序号: idx + 1,
+    部位: r.part,
+    构件: r.type,
+    编号: r.number,
+    强度等级: r.grade || '',
+    形状: formulas.getShapeLabel(r),
+    ...getDimensionCells(r),
+    尺寸: formulas.describe(r),
+    数量: r.count,
+    扣减: formulas.formatDeductions(r.deductions),
+    毛体积: r.grossVolume !== undefined ? r.grossVolume : r.volume,
+    扣减体积: r.deductionVolume || 0,
+    体积: r.volume,
+    模板面积: r.formworkArea || 0,
+    钢筋重量: r.rebarWeight || 0,
+    综合单价: costs[idx].unitPrice,
+    金额: costs[idx].cost,
+    创建时间: r.createdAt ? new Date(r.createdAt).toLocaleString() : '',
+    创建人: r.createdBy || username
+  }));
+
+  const deductionDetails = [];
+  records.forEach((r, idx) => {
+    (r.deductions || []).forEach(d => {
+      const thick = d.thick === null || d.thick === undefined ? r.thick : d.thick;
+      deductionDetails.push({
+        序号: idx + 1,
+        部位: r.part,
+        构件: r.type,
+        编号: r.number,
+        扣减项: d.name,
+        宽: d.width,
+        高: d.height,
+        厚: thick,
+        数量: d.count,
+        构件数量: r.count,
+        扣减体积: +(d.width * d.height * thick * d.count * r.count).toFixed(3)
+      });
+    });
   });
+
+  const sheets = {
+    [IMPORT_SHEET]: details
+  };
+
+  // 有扣减项时附加扣减明细表
+  if (deductionDetails.length > 0) {
+    sheets['扣减明细'] = deductionDetails;
+  }
+
+  return sheets;
 }
 
-// 中间件：验证管理员是否登录
-function verifyAdminToken(req, res, next) {
+// 明细表的尺寸列：每种形状的尺寸各占一列，记录形状不使用的尺寸留空，与导入表头一致
+function getDimensionCells(record) {
+  const shape = formulas.getShape(formulas.resolveShape(record));
+  const keys = shape ? shape.fields.map(field => field.key) : [];
+  const cells = {};
+  for (const field of formulas.getDimensionColumns()) {
+    cells[field.label] = keys.includes(field.key) ? formulas.formatDimension(field, record[field.key]) : '';
+  }
+  return cells;
+}
+
+// 导出报表的列定义
+const VOLUME_FORMAT = '0.000';
+const COST_FORMAT = '0.00';
+const REPORT_DETAIL_COLUMNS = [
+  { header: '序号', key: 'index', width: 6 },
+  { header: '构件', key: 'type', width: 8 },
+  { header: '编号', key: 'number', width: 12 },
+  { header: '强度等级', key: 'grade', width: 10 },
+  { header: '形状', key: 'shape', width: 10 },
+  { header: '尺寸', key: 'size', width: 36 },
+  { header: '数量', key: 'count', width: 8 },
+  { header: '毛体积(m³)', key: 'grossVolume', width: 12, format: VOLUME_FORMAT },
+  { header: '扣减体积(m³)', key: 'deductionVolume', width: 12, format: VOLUME_FORMAT },
+  { header: '体积(m³)', key: 'volume', width: 12, format: VOLUME_FORMAT },
+  { header: '模板面积(m²)', key: 'formworkArea', width: 12, format: VOLUME_FORMAT },
+  { header: '钢筋(t)', key: 'rebarWeight', width: 10, format: VOLUME_FORMAT },
+  { header: '综合单价(元/m³)', key: 'unitPrice', width: 12, format: COST_FORMAT },
+  { header: '金额(元)', key: 'cost', width: 14, format: COST_FORMAT }
+];
+
+// 汇总体积并保留3位小数
+function sumVolume(records, key = 'volume') {
+  return +records.reduce((sum, r) => {
+    const value = key === 'grossVolume' && r.grossVolume === undefined ? r.volume : r[key];
+    return sum + (value || 0);
+  }, 0).toFixed(3);
+}
+
+// 生成导出报表：部位×构件汇总、模板及钢筋汇总、造价汇总及计价依据、部位层级汇总、每个部位的明细（按构件小计）、
+// 按强度等级汇总、扣减明细，以及可重新导入的“混凝土量”明细表；有部位层级时部位按层级顺序排列
+function buildExportReport(records, { projectName, preparer, source, locations = [], priceTable }) {
+  const estimator = new CostEstimator(priceTable);
+  const sumCost = matched => +matched.reduce((sum, r) => sum + estimator.estimate(r).cost, 0).toFixed(2);
+  const locationRows = flattenLocationTree(buildLocationTree(locations, records).tree);
+  const locationOrder = new Map(locationRows.map((node, i) => [node.path, i]));
+  const getPartOrder = part => (locationOrder.has(part) ? locationOrder.get(part) : locationRows.length);
+  const parts = [...new Set(records.map(r => r.part))].sort((a, b) => getPartOrder(a) - getPartOrder(b));
+  const types = [...new Set(records.map(r => r.type))];
+
+  // 部位 × 构件 透视汇总
+  const pivotRows = parts.map(part => {
+    const row = { part };
+    for (const type of types) {
+      const matched = records.filter(r => r.part === part && r.type === type);
+      row[type] = matched.length > 0 ? sumVolume(matched) : '';
+    }
+    row.total = sumVolume(records.filter(r => r.part === part));
+    return row;
+  });
+  const pivotTotal = { part: '合计', total: sumVolume(records) };
+  for (const type of types) {
+    pivotTotal[type] = sumVolume(records.filter(r => r.type === type));
+  }
+
+  const sheets = [{
+    name: '汇总',
+    kind: 'summary',
+    columns: [
+      { header: '部位', key: 'part', width: 14 },
+      ...types.map(type => ({ header: `${type}(m³)`, key: type, width: 12, format: VOLUME_FORMAT })),
+      { header: '合计(m³)', key: 'total', width: 12, format: VOLUME_FORMAT }
+    ],
+    rows: [...pivotRows, pivotTotal]
+  }];
+
+  // 按部位汇总混凝土、模板及钢筋工程量
+  const quantityRow = (part, matched) => ({
+    part,
+    count: matched.reduce((sum, r) => sum + r.count, 0),
+    volume: sumVolume(matched),
+    formworkArea: sumVolume(matched, 'formworkArea'),
+    rebarWeight: sumVolume(matched, 'rebarWeight')
+  });
+  sheets.push({
+    name: '模板及钢筋汇总',
+    kind: 'quantity',
+    columns: [
+      { header: '部位', key: 'part', width: 14 },
+      { header: '构件数', key: 'count', width: 8 },
+      { header: '体积(m³)', key: 'volume', width: 12, format: VOLUME_FORMAT },
+      { header: '模板面积(m²)', key: 'formworkArea', width: 12, format: VOLUME_FORMAT },
+      { header: '钢筋(t)', key: 'rebarWeight', width: 12, format: VOLUME_FORMAT }
+    ],
+    rows: [...parts.map(part => quantityRow(part, records.filter(r => r.part === part))), quantityRow('合计', records)]
+  });
+
+  // 按部位汇总造价
+  const costSummary = estimator.summarize(records);
+  const costByPart = new Map(costSummary.byPart.map(item => [item.part, item]));
+  sheets.push({
+    name: '造价汇总',
+    kind: 'cost',
+    columns: [
+      { header: '部位', key: 'part', width: 14 },
+      { header: '体积(m³)', key: 'volume', width: 12, format: VOLUME_FORMAT },
+      { header: '混凝土费(元)', key: 'concreteCost', width: 14, format: COST_FORMAT },
+      { header: '泵送费(元)', key: 'pumpCost', width: 12, format: COST_FORMAT },
+      { header: '外加剂加价(元)', key: 'surchargeCost', width: 14, format: COST_FORMAT },
+      { header: '合计(元)', key: 'cost', width: 14, format: COST_FORMAT }
+    ],
+    rows: [...parts.map(part => costByPart.get(part)), { ...costSummary, part: '合计' }]
+  });
+
+  // 计价依据：导出时使用的价格表
+  const { prices, surcharges } = estimator.priceTable;
+  sheets.push({
+    name: '计价依据',
+    kind: 'price',
+    columns: [
+      { header: '项目', key: 'item', width: 14 },
+      { header: '强度等级', key: 'grade', width: 20 },
+      { header: '构件', key: 'type', width: 20 },
+      { header: '单价(元/m³)', key: 'price', width: 12, format: COST_FORMAT }
+    ],
+    rows: [
+      ...prices.map(p => ({ item: '混凝土单价', grade: p.grade || '全部', type: p.type || '全部', price: p.price })),
+      { item: '默认单价', grade: '其他', type: '其他', price: estimator.priceTable.defaultPrice },
+      { item: '泵送费', grade: '全部', type: '全部', price: estimator.priceTable.pumpFee },
+      ...surcharges.map(s => ({
+        item: s.name,
+        grade: s.grades.length > 0 ? s.grades.join('、') : '全部',
+        type: s.types.length > 0 ? s.types.join('、') : '全部',
+        price: s.price
+      }))
+    ]
+  });
+
+  // 部位层级汇总：每级节点包含其下级节点的合计
+  if (locationRows.length > 0) {
+    const nodeIds = new Set(locationRows.map(node => node.id));
+    const unassigned = records.filter(r => !nodeIds.has(r.locationId));
+    sheets.push({
+      name: '部位层级汇总',
+      kind: 'location',
+      columns: [
+        { header: '层级', key: 'level', width: 10 },
+        { header: '部位', key: 'name', width: 24 },
+        { header: '完整名称', key: 'path', width: 30 },
+        { header: '记录数', key: 'recordCount', width: 8 },
+        { header: '构件数', key: 'count', width: 8 },
+        { header: '体积(m³)', key: 'volume', width: 12, format: VOLUME_FORMAT },
+        { header: '模板面积(m²)', key: 'formworkArea', width: 12, format: VOLUME_FORMAT },
+        { header: '钢筋(t)', key: 'rebarWeight', width: 10, format: VOLUME_FORMAT }
+      ],
+      rows: [
+        ...locationRows.map(node => ({
+          level: node.levelLabel,
+          name: `${'　'.repeat(node.depth)}${node.name}`,
+          path: node.path,
+          recordCount: node.recordCount,
+          count: node.count,
+          volume: node.volume,
+          formworkArea: node.formworkArea,
+          rebarWeight: node.rebarWeight
+        })),
+        ...(unassigned.length > 0 ? [{
+          level: '未关联层级',
+          recordCount: unassigned.length,
+          count: unassigned.reduce((sum, r) => sum + r.count, 0),
+          volume: sumVolume(unassigned),
+          formworkArea: sumVolume(unassigned, 'formworkArea'),
+          rebarWeight: sumVolume(unassigned, 'rebarWeight')
+        }] : []),
+        {
+          level: '合计',
+          recordCount: records.length,
+          count: records.reduce((sum, r) => sum + r.count, 0),
+          volume: sumVolume(records),
+          formworkArea: sumVolume(records, 'formworkArea'),
+          rebarWeight: sumVolume(records, 'rebarWeight')
+        }
+      ]
+    });
+  }
+
+  // 每个部位一张明细表，按构件类型分组并插入小计行
+  for (const part of parts) {
+    const partRecords = records.filter(r => r.part === part);
+    const rows = [];
+    let index = 0;
+    for (const type of types) {
+      const typeRecords = partRecords.filter(r => r.type === type);
+      if (typeRecords.length === 0) continue;
+
+      for (const r of typeRecords) {
+        rows.push({
+          index: ++index,
+          type: r.type,
+          number: r.number,
+          grade: r.grade || '',
+          shape: formulas.getShapeLabel(r),
+          size: formulas.describe(r),
+          count: r.count,
+          grossVolume: r.grossVolume !== undefined ? r.grossVolume : r.volume,
+          deductionVolume: r.deductionVolume || 0,
+          volume: r.volume,
+          formworkArea: r.formworkArea || 0,
+          rebarWeight: r.rebarWeight || 0,
+          ...pickCost(estimator.estimate(r))
+        });
+      }
+      rows.push({
+        type: `${type}小计`,
+        count: typeRecords.reduce((sum, r) => sum + r.count, 0),
+        grossVolume: sumVolume(typeRecords, 'grossVolume'),
+        deductionVolume: sumVolume(typeRecords, 'deductionVolume'),
+        volume: sumVolume(typeRecords),
+        formworkArea: sumVolume(typeRecords, 'formworkArea'),
+        rebarWeight: sumVolume(typeRecords, 'rebarWeight'),
+        cost: sumCost(typeRecords)
+      });
+    }
+    rows.push({
+      type: `${part}合计`,
+      count: partRecords.reduce((sum, r) => sum + r.count, 0),
+      grossVolume: sumVolume(partRecords, 'grossVolume'),
+      deductionVolume: sumVolume(partRecords, 'deductionVolume'),
+      volume: sumVolume(partRecords),
+      formworkArea: sumVolume(partRecords, 'formworkArea'),
+      rebarWeight: sumVolume(partRecords, 'rebarWeight'),
+      cost: sumCost(partRecords)
+    });
+
+    sheets.push({ name: part, kind: 'part', columns: REPORT_DETAIL_COLUMNS, rows });
+  }
+
+  const gradeSummary = summarizeByGrade(records);
+  sheets.push({
+    name: '按强度等级汇总',
+    kind: 'grade',
+    columns: [
+      { header: '强度等级', key: 'grade', width: 12 },
+      { header: '部位', key: 'part', width: 14 },
+      { header: '构件数', key: 'count', width: 8 },
+      { header: '体积(m³)', key: 'volume', width: 12, format: VOLUME_FORMAT },
+      { header: '钢筋(t)', key: 'rebarWeight', width: 10, format: VOLUME_FORMAT }
+    ],
+    rows: [
+      ...gradeSummary.byGrade.flatMap(item => [
+        ...gradeSummary.byGradePart.filter(p => p.grade === item.grade),
+        { grade: `${item.grade}小计`, count: item.count, volume: item.volume, rebarWeight: item.rebarWeight }
+      ]),
+      { grade: '合计', count: records.reduce((sum, r) => sum + r.count, 0), volume: sumVolume(records), rebarWeight: sumVolume(records, 'rebarWeight') }
+    ]
+  });
+
+  const sheetData = buildExportSheets(records, preparer, estimator);
+  if (sheetData['扣减明细']) {
+    sheets.push({
+      name: '扣减明细',
+      kind: 'deduction',
+      columns: Object.keys(sheetData['扣减明细'][0]).map(key => ({
+        header: key,
+        key,
+        width: key === '扣减项' ? 14 : 10,
+        format: key === '扣减体积' ? VOLUME_FORMAT : undefined
+      })),
+      rows: sheetData['扣减明细']
+    });
+  }
+
+  // 与导入格式一致的明细表
+  sheets.push({
+    name: IMPORT_SHEET,
+    kind: 'plain',
+    plain: true,
+    columns: Object.keys(sheetData[IMPORT_SHEET][0]).map(key => ({
+      header: key,
+      key,
+      width: key === '尺寸' ? 36 : key === '创建时间' ? 20 : 10,
+      format: ['毛体积', '扣减体积', '体积', '模板面积', '钢筋重量'].includes(key) ? VOLUME_FORMAT
+        : ['综合单价', '金额'].includes(key) ? COST_FORMAT : undefined
+    })),
+    rows: sheetData[IMPORT_SHEET]
+  });
+
+  const info = [['项目', projectName]];
+  if (source) info.push(['数据', source]);
+  info.push(['日期', new Date().toLocaleDateString('zh-CN')]);
+  info.push(['编制人', preparer]);
+
+  const total = {
+    count: records.reduce((sum, r) => sum + r.count, 0),
+    grossVolume: sumVolume(records, 'grossVolume'),
+    deductionVolume: sumVolume(records, 'deductionVolume'),
+    volume: sumVolume(records),
+    formworkArea: sumVolume(records, 'formworkArea'),
+    rebarWeight: sumVolume(records, 'rebarWeight'),
+    cost: costSummary.cost
+  };
+
+  return { title: '混凝土工程量计算书', info, sheets, total };
+}
+
+// 明细行的造价列
+function pickCost({ unitPrice, cost }) {
+  return { unitPrice, cost };
+}
+
+// 生成工程量对比报表：按部位对比、构件对比及只在一侧存在的构件
+function buildCompareReport(base, target, comparison, { projectName, preparer }) {
+  const volumeColumns = [
+    { header: `${base.name}(m³)`, key: 'baseVolume', width: 14, format: VOLUME_FORMAT },
+    { header: `${target.name}(m³)`, key: 'targetVolume', width: 14, format: VOLUME_FORMAT },
+    { header: '差值(m³)', key: 'delta', width: 12, format: VOLUME_FORMAT },
+    { header: '变化率(%)', key: 'rate', width: 10 }
+  ];
+  const { total } = comparison;
+
+  const sheets = [{
+    name: '按部位对比',
+    columns: [{ header: '部位', key: 'part', width: 14 }, ...volumeColumns],
+    rows: [...comparison.parts, { part: '合计', ...total }]
+  }, {
+    name: '构件对比',
+    columns: [
+      { header: '部位', key: 'part', width: 14 },
+      { header: '构件', key: 'type', width: 8 },
+      { header: '编号', key: 'number', width: 12 },
+      { header: `${base.name}数量`, key: 'baseCount', width: 10 },
+      { header: `${target.name}数量`, key: 'targetCount', width: 10 },
+      ...volumeColumns
+    ],
+    rows: comparison.items
+  }, {
+    name: '单侧构件',
+    columns: [
+      { header: '所在数据', key: 'source', width: 16 },
+      { header: '部位', key: 'part', width: 14 },
+      { header: '构件', key: 'type', width: 8 },
+      { header: '编号', key: 'number', width: 12 },
+      { header: '数量', key: 'count', width: 8 },
+      { header: '体积(m³)', key: 'volume', width: 12, format: VOLUME_FORMAT }
+    ],
+    rows: [
+      ...comparison.baseOnly.map(item => ({ source: `仅${base.name}`, ...item })),
+      ...comparison.targetOnly.map(item => ({ source: `仅${target.name}`, ...item }))
+    ]
+  }];
+
+  return {
+    title: '混凝土工程量对比表',
+    info: [
+      ['项目', projectName],
+      ['基准', base.name],
+      ['对比', target.name],
+      ['日期', new Date().toLocaleDateString('zh-CN')],
+      ['编制人', preparer]
+    ],
+    // 没有数据的工作表不输出
+    sheets: sheets.filter(sheet => sheet.rows.length > 0)
+  };
+}
+
+// 生成浇筑计划表：按日期列出浇筑批次并插入每日小计，附批次构件明细及供货小票
+function buildPourScheduleReport(days, records, { projectName, preparer, dateFrom, dateTo }) {
+  const recordsById = new Map(records.map(r => [r.id, r]));
+  const pours = days.flatMap(day => day.pours);
+  const ticketed = pours.filter(p => p.tickets.length > 0);
+  const deliveredVolume = sumVolume(pours, 'deliveredVolume');
+
+  const scheduleRows = [];
+  for (const day of days) {
+    for (const pour of day.pours) {
+      scheduleRows.push({
+        date: day.date,
+        name: pour.name,
+        status: pour.statusLabel,
+        plannedDate: pour.plannedDate,
+        actualDate: pour.actualDate || '',
+        parts: pour.parts.join('、'),
+        grades: pour.grades.join('、'),
+        recordCount: pour.recordCount,
+        supplier: pour.supplier,
+        tickets: pour.tickets.map(t => t.number).join('、'),
+        computedVolume: pour.computedVolume,
+        deliveredVolume: pour.tickets.length > 0 ? pour.deliveredVolume : '',
+        wasteRate: pour.wasteRate === null ? '' : pour.wasteRate
+      });
+    }
+    scheduleRows.push({
+      date: `${day.date}小计`,
+      recordCount: day.pours.reduce((sum, p) => sum + p.recordCount, 0),
+      computedVolume: day.computedVolume,
+      deliveredVolume: day.deliveredVolume,
+      wasteRate: day.wasteRate === null ? '' : day.wasteRate
+    });
+  }
+  const totalWasteRate = getWasteRate(deliveredVolume, sumVolume(ticketed, 'computedVolume'), ticketed.length > 0);
+  scheduleRows.push({
+    date: '合计',
+    recordCount: pours.reduce((sum, p) => sum + p.recordCount, 0),
+    computedVolume: sumVolume(pours, 'computedVolume'),
+    deliveredVolume,
+    wasteRate: totalWasteRate === null ? '' : totalWasteRate
+  });
+
+  const sheets = [{
+    name: '浇筑计划',
+    columns: [
+      { header: '日期', key: 'date', width: 14 },
+      { header: '批次', key: 'name', width: 16 },
+      { header: '状态', key: 'status', width: 8 },
+      { header: '计划日期', key: 'plannedDate', width: 12 },
+      { header: '实际日期', key: 'actualDate', width: 12 },
+      { header: '部位', key: 'parts', width: 20 },
+      { header: '强度等级', key: 'grades', width: 10 },
+      { header: '构件数', key: 'recordCount', width: 8 },
+      { header: '供应商', key: 'supplier', width: 14 },
+      { header: '小票号', key: 'tickets', width: 20 },
+      { header: '计算体积(m³)', key: 'computedVolume', width: 12, format: VOLUME_FORMAT },
+      { header: '到货方量(m³)', key: 'deliveredVolume', width: 12, format: VOLUME_FORMAT },
+      { header: '损耗率(%)', key: 'wasteRate', width: 10, format: '0.00' }
+    ],
+    rows: scheduleRows
+  }, {
+    name: '批次构件明细',
+    columns: [
+      { header: '日期', key: 'date', width: 12 },
+      { header: '批次', key: 'name', width: 16 },
+      { header: '部位', key: 'part', width: 14 },
+      { header: '构件', key: 'type', width: 8 },
+      { header: '编号', key: 'number', width: 12 },
+      { header: '强度等级', key: 'grade', width: 10 },
+      { header: '数量', key: 'count', width: 8 },
+      { header: '体积(m³)', key: 'volume', width: 12, format: VOLUME_FORMAT }
+    ],
+    rows: pours.flatMap(pour => pour.recordIds.filter(id => recordsById.has(id)).map(id => {
+      const r = recordsById.get(id);
+      return { date: pour.date, name: pour.name, part: r.part, type: r.type, number: r.number, grade: r.grade || '', count: r.count, volume: r.volume };
+    }))
+  }, {
+    name: '供货小票',
+    columns: [
+      { header: '日期', key: 'date', width: 12 },
+      { header: '批次', key: 'name', width: 16 },
+      { header: '供应商', key: 'supplier', width: 14 },
+      { header: '小票号', key: 'number', width: 16 },
+      { header: '方量(m³)', key: 'volume', width: 12, format: VOLUME_FORMAT }
+    ],
+    rows: pours.flatMap(pour => pour.tickets.map(t => ({ date: pour.date, name: pour.name, supplier: pour.supplier, ...t })))
+  }];
+
+  const info = [['项目', projectName]];
+  if (dateFrom || dateTo) info.push(['日期范围', `${dateFrom || '不限'} 至 ${dateTo || '不限'}`]);
+  info.push(['导出日期', new Date().toLocaleDateString('zh-CN')]);
+  info.push(['编制人', preparer]);
+
+  return {
+    title: '混凝土浇筑计划表',
+    info,
+    // 没有数据的工作表不输出
+    sheets: sheets.filter(sheet => sheet.rows.length > 0)
+  };
+}
+
+// 记录查询支持的参数及排序字段
+const RECORD_QUERY_PARAMS = ['page', 'pageSize', 'part', 'type', 'grade', 'numberPrefix', 'q', 'dateFrom', 'dateTo', 'minVolume', 'maxVolume', 'sort', 'order'];
+const RECORD_SORT_FIELDS = ['part', 'type', 'number', 'grade', 'shape', 'height', 'thick', 'length', 'count', 'grossVolume', 'deductionVolume', 'volume', 'formworkArea', 'rebarWeight', 'createdAt', 'updatedAt'];
+
+// 请求是否携带记录查询参数（不带参数时保持返回完整数组）
+function hasRecordQuery(query) {
+  return RECORD_QUERY_PARAMS.some(key => query[key] !== undefined);
+}
+
+// 解析记录查询参数，返回 { options } 或 { error }
+function parseRecordQuery(query) {
+  const text = key => {
+    const value = query[key];
+    if (value === undefined) return '';
+    return (Array.isArray(value) ? value.join(',') : String(value)).trim();
+  };
+  const list = key => text(key).split(',').map(v => v.trim()).filter(Boolean);
+
+  const page = text('page') ? Number(text('page')) : 1;
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: '页码必须为正整数' };
+  }
+
+  const pageSize = text('pageSize') ? Number(text('pageSize')) : 20;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) {
+    return { error: '每页条数必须为1-200' };
+  }
+
+  const sort = text('sort') || null;
+  if (sort && !RECORD_SORT_FIELDS.includes(sort)) {
+    return { error: `不支持按 ${sort} 排序` };
+  }
+
+  const order = text('order') || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: '排序方向必须为 asc 或 desc' };
+  }
+
+  // 日期范围：只填日期时结束日期包含当天
+  const dateFrom = text('dateFrom') ? new Date(text('dateFrom')) : null;
+  let dateTo = text('dateTo') ? new Date(text('dateTo')) : null;
+  if ((dateFrom && isNaN(dateFrom)) || (dateTo && isNaN(dateTo))) {
+    return { error: '日期格式不正确' };
+  }
+  if (dateTo && /^\d{4}-\d{2}-\d{2}$/.test(text('dateTo'))) {
+    dateTo = new Date(dateTo.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  const minVolume = text('minVolume') ? Number(text('minVolume')) : null;
+  const maxVolume = text('maxVolume') ? Number(text('maxVolume')) : null;
+  if ((minVolume !== null && !Number.isFinite(minVolume)) || (maxVolume !== null && !Number.isFinite(maxVolume))) {
+    return { error: '体积范围格式不正确' };
+  }
+
+  return {
+    options: {
+      page,
+      pageSize,
+      parts: list('part'),
+      types: list('type'),
+      grades: list('grade'),
+      numberPrefix: text('numberPrefix').toLowerCase(),
+      search: text('q').toLowerCase(),
+      dateFrom,
+      dateTo,
+      minVolume,
+      maxVolume,
+      sort,
+      order
+    }
+  };
+}
+
+// 按查询条件筛选、排序、分页，并汇总筛选结果的体积
+function queryRecords(records, options) {
+  const filtered = records.filter(r => {
+    if (options.parts.length > 0 && !options.parts.includes(r.part)) return false;
+    if (options.types.length > 0 && !options.types.includes(r.type)) return false;
+    if (options.grades.length > 0 && !options.grades.includes(r.grade || '')) return false;
+    if (options.numberPrefix && !String(r.number).toLowerCase().startsWith(options.numberPrefix)) return false;
+    if (options.search && !`${r.part}\u0000${r.number}`.toLowerCase().includes(options.search)) return false;
+    if (options.dateFrom || options.dateTo) {
+      const createdAt = new Date(r.createdAt);
+      if (isNaN(createdAt)) return false;
+      if (options.dateFrom && createdAt < options.dateFrom) return false;
+      if (options.dateTo && createdAt > options.dateTo) return false;
+    }
+    if (options.minVolume !== null && r.volume < options.minVolume) return false;
+    if (options.maxVolume !== null && r.volume > options.maxVolume) return false;
+    return true;
+  });
+
+  if (options.sort) {
+    const direction = options.order === 'desc' ? -1 : 1;
+    const key = options.sort;
+    // 空值排在最后，相同值保持原有顺序
+    filtered.sort((a, b) => {
+      const x = a[key];
+      const y = b[key];
+      if (x === undefined || x === null || x === '') return y === undefined || y === null || y === '' ? 0 : 1;
+      if (y === undefined || y === null || y === '') return -1;
+      const result = typeof x === 'number' && typeof y === 'number'
+        ? x - y
+        : String(x).localeCompare(String(y), 'zh-CN', { numeric: true });
+      return result * direction;
+    });
+  }
+
+  const summary = {
+    count: filtered.length,
+    volume: 0,
+    grossVolume: 0,
+    deductionVolume: 0,
+    formworkArea: 0,
+    rebarWeight: 0,
+    byPart: [],
+    byType: []
+  };
+  const byPart = new Map();
+  const byType = new Map();
+  for (const r of filtered) {
+    summary.volume += r.volume;
+    summary.grossVolume += r.grossVolume !== undefined ? r.grossVolume : r.volume;
+    summary.deductionVolume += r.deductionVolume || 0;
+    summary.formworkArea += r.formworkArea || 0;
+    summary.rebarWeight += r.rebarWeight || 0;
+
+    const partItem = byPart.get(r.part) || { part: r.part, count: 0, volume: 0 };
+    partItem.count += 1;
+    partItem.volume += r.volume;
+    byPart.set(r.part, partItem);
+
+    const typeItem = byType.get(r.type) || { type: r.type, count: 0, volume: 0 };
+    typeItem.count += 1;
+    typeItem.volume += r.volume;
+    byType.set(r.type, typeItem);
+  }
+  const round = item => ({ ...item, volume: +item.volume.toFixed(3) });
+  summary.volume = +summary.volume.toFixed(3);
+  summary.grossVolume = +summary.grossVolume.toFixed(3);
+  summary.deductionVolume = +summary.deductionVolume.toFixed(3);
+  summary.formworkArea = +summary.formworkArea.toFixed(3);
+  summary.rebarWeight = +summary.rebarWeight.toFixed(3);
+  summary.byPart = [...byPart.values()].map(round);
+  summary.byType = [...byType.values()].map(round);
+
+  const start = (options.page - 1) * options.pageSize;
+  return {
+    records: filtered.slice(start, start + options.pageSize),
+    total: filtered.length,
+    page: options.page,
+    pageSize: options.pageSize,
+    totalPages: Math.ceil(filtered.length / options.pageSize),
+    summary
+  };
+}
+
+// 令牌与会话
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 会话所属的账户，账户不存在或管理后台会话已无管理权限时返回 null
+function getSessionAccount(role, username) {
+  const user = users.find(u => u.username === username) || null;
+  if (role === 'admin' && !hasPermission(user, 'admin.access')) {
+    return null;
+  }
+  return user;
+}
+
+function signAccessToken(account, role) {
+  const payload = { username: account.username, tokenVersion: account.tokenVersion || 0 };
+  if (role === 'admin') {
+    payload.role = 'admin';
+  }
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// 登录时创建会话，返回访问令牌和刷新令牌
+async function issueTokens(account, role, req) {
+  const now = new Date().toISOString();
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = {
+    id: crypto.randomUUID(),
+    username: account.username,
+    role,
+    tokenHash: hashToken(refreshToken),
+    previousTokenHash: null,
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 200),
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: getRefreshExpiry()
+  };
+
+  // 清理过期会话，每个账户只保留最近的会话
+  const own = sessions.filter(s => s.role === role && s.username === account.username);
+  const dropped = new Set(own.slice(0, Math.max(0, own.length - MAX_SESSIONS_PER_ACCOUNT + 1)));
+  sessions = sessions.filter(s => !dropped.has(s) && new Date(s.expiresAt) > new Date());
+  sessions.push(session);
+
+  // 保存到文件数据库
+  try {
+    await db.saveSessions(sessions);
+  } catch (error) {
+    console.error('❌ 保存登录会话失败:', error.message);
+  }
+
+  return { token: signAccessToken(account, role), refreshToken };
+}
+
+async function removeSessions(predicate) {
+  const before = sessions.length;
+  sessions = sessions.filter(s => !predicate(s));
+  if (sessions.length === before) return;
+
+  // 保存到文件数据库
+  try {
+    await db.saveSessions(sessions);
+  } catch (error) {
+    console.error('❌ 保存登录会话失败:', error.message);
+  }
+}
+
+// 撤销账户的全部会话（含管理后台），并通过递增令牌版本使已签发的访问令牌失效
+async function revokeAccountSessions(account) {
+  account.tokenVersion = (account.tokenVersion || 0) + 1;
+  await removeSessions(s => s.username === account.username);
+
+  // 保存到文件数据库
+  try {
+    await db.updateUser(account.username, { tokenVersion: account.tokenVersion });
+    console.log(`✅ 已撤销登录会话: ${account.username}`);
+  } catch (error) {
+    console.error('❌ 保存令牌版本失败:', error.message);
+  }
+}
+
+// 校验访问令牌：过期或已撤销返回 401（可用刷新令牌续期），格式无效返回 403
+function checkAccessToken(req, res, role, callback) {
   const token = req.headers['authorization'];
 
   if (!token) {
     return res.status(403).json({ message: '未授权访问' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, admin) => {
+  jwt.verify(token, JWT_SECRET, (err, payload) => {
     if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Token已过期' });
+      }
       return res.status(403).json({ message: '无效的Token' });
     }
-    if (admin.role !== 'admin') {
+    if (role === 'admin' && payload.role !== 'admin') {
       return res.status(403).json({ message: '需要管理员权限' });
     }
+    const account = getSessionAccount(role, payload.username);
+    if (!account || (account.tokenVersion || 0) !== (payload.tokenVersion || 0)) {
+      return res.status(401).json({ message: '登录已失效，请重新登录' });
+    }
+    req.account = account;
+    callback(payload);
+  });
+}
+
+// 中间件：验证用户是否登录
+function verifyToken(req, res, next) {
+  checkAccessToken(req, res, 'user', user => {
+    req.user = user;
+    next();
+  });
+}
+
+// 用户的系统角色，未设置或已失效的角色按工程师处理
+function getUserRole(user) {
+  return user && USER_ROLES[user.role] ? user.role : DEFAULT_USER_ROLE;
+}
+
+function hasPermission(user, permission) {
+  return !!user && USER_ROLES[getUserRole(user)].permissions.includes(permission);
+}
+
+// 中间件：检查当前账户的权限（需在 verifyToken / verifyAdminToken 之后）
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.account, permission)) {
+      return res.status(403).json({ message: '没有权限执行此操作' });
+    }
+    next();
+  };
+}
+
+// 非超级管理员只能管理没有管理权限的用户，也只能分配非管理角色
+function canManageUser(actor, target) {
+  return hasPermission(actor, 'roles.manage') || !hasPermission(target, 'admin.access');
+}
+
+function canAssignRole(actor, role) {
+  return hasPermission(actor, 'roles.manage') || !USER_ROLES[role].permissions.includes('admin.access');
+}
+
+// 是否为最后一个超级管理员（不允许删除或降级）
+function isLastSuperAdmin(user) {
+  return getUserRole(user) === 'super_admin' && users.filter(u => getUserRole(u) === 'super_admin').length === 1;
+}
+
+function getPublicUser(user) {
+  const role = getUserRole(user);
+  return {
+    username: user.username,
+    role,
+    roleLabel: USER_ROLES[role].label,
+    historyCount: userHistory[user.username] ? userHistory[user.username].length : 0,
+    quota: getQuotaUsage(user, userRecords[user.username] || [], userHistory[user.username] || []),
+    activeSessions: sessions.filter(s => s.username === user.username).length,
+    createdAt: user.createdAt || null
+  };
+}
+
+// 获取用户或项目的配额：单独设置的配额优先，否则使用系统默认配额
+function getQuota(owner) {
+  const quota = (owner && owner.quota) || {};
+  return {
+    maxRecords: quota.maxRecords || systemSettings.maxRecordsPerUser,
+    maxHistory: quota.maxHistory || systemSettings.maxHistoryPerUser
+  };
+}
+
+// 配额及当前用量（custom 为单独设置的配额）
+function getQuotaUsage(owner, records, history) {
+  return {
+    ...getQuota(owner),
+    records: records.length,
+    history: history.length,
+    custom: (owner && owner.quota) || null
+  };
+}
+
+// 合并配额修改：未提交的项保持不变，null 表示使用系统默认配额；全部为默认时返回 null
+function mergeQuota(current, updates) {
+  const quota = { ...(current || {}) };
+  for (const key of Object.keys(QUOTA_LIMITS)) {
+    if (updates[key] === null) delete quota[key];
+    else if (updates[key] !== undefined) quota[key] = updates[key];
+  }
+  return Object.keys(quota).length > 0 ? quota : null;
+}
+
+// 数据范围所属的项目或用户
+function getScopeOwner(scope) {
+  return scope.project || users.find(u => u.username === scope.name);
+}
+
+// 数据范围（个人空间或项目）的配额
+function getScopeQuota(scope) {
+  return getQuota(getScopeOwner(scope));
+}
+
+// 中间件：验证管理员是否登录
+function verifyAdminToken(req, res, next) {
+  checkAccessToken(req, res, 'admin', admin => {
     req.admin = admin;
     next();
   });
@@ -164,559 +1339,2890 @@ function getUserHistory(username) {
   return userHistory[username];
 }
 
-// 用户注册
-app.post('/register', authLimiter, async (req, res) => {
-  try {
-    // 检查是否允许注册
-    if (!systemSettings.allowRegistration) {
-      return res.status(403).json({ message: '系统当前不允许注册新用户' });
-    }
-    
-    const { username, password } = req.body;
-    
-    // 输入验证
-    if (!validateUsername(username)) {
-      return res.status(400).json({ message: '用户名格式不正确（3-20个字符，只能包含字母、数字、下划线）' });
-    }
+// 获取项目记录
+function getProjectRecords(projectId) {
+  if (!projectRecords[projectId]) {
+    projectRecords[projectId] = [];
+  }
+  return projectRecords[projectId];
+}
+
+// 获取项目历史数据
+function getProjectHistory(projectId) {
+  if (!projectHistory[projectId]) {
+    projectHistory[projectId] = [];
+  }
+  return projectHistory[projectId];
+}
+
+// 获取用户在项目中的角色，非成员返回 null
+function getProjectRole(project, username) {
+  const member = project.members.find(m => m.username === username);
+  return member ? member.role : null;
+}
+
+// 中间件：解析数据范围，未指定 X-Project-Id 时为个人空间（需在 verifyToken 之后使用）
+function resolveScope(req, res, next) {
+  const username = req.user.username;
+  const projectId = req.headers['x-project-id'];
+
+  if (!projectId) {
+    req.scope = {
+      project: null,
+      role: 'owner',
+      name: username,
+      records: getUserRecords(username),
+      history: getUserHistory(username)
+    };
+    return next();
+  }
+
+  const project = projects.find(p => p.id === projectId);
+  if (!project) {
+    return res.status(404).json({ message: '项目不存在' });
+  }
+
+  const role = getProjectRole(project, username);
+  if (!role) {
+    return res.status(403).json({ message: '无权访问此项目' });
+  }
+
+  req.scope = {
+    project,
+    role,
+    name: project.name,
+    records: getProjectRecords(project.id),
+    history: getProjectHistory(project.id)
+  };
+  next();
+}
+
+// 中间件：要求对当前数据范围有编辑权限
+function requireEditor(req, res, next) {
+  if (req.scope.role === 'viewer') {
+    return res.status(403).json({ message: '只读成员无权修改项目数据' });
+  }
+  next();
+}
+
+// 判断能否修改记录或历史：个人空间及项目所有者不受限，编辑者只能修改自己创建的数据
+function canModify(scope, item, username) {
+  if (!scope.project || scope.role === 'owner') return true;
+  return item.createdBy === username;
+}
+
+// 中间件：按路由参数中的ID加载当前数据范围的记录（需在 resolveScope 之后使用）
+function loadRecord(req, res, next) {
+  const record = req.scope.records.find(r => r.id === req.params.id);
+  if (!record) {
+    return res.status(404).json({ message: '记录不存在' });
+  }
+  req.record = record;
+  next();
+}
+
+// 中间件：乐观并发控制，If-Match 请求头（或请求体中的 version）与当前版本不一致时返回 409
+function checkRecordVersion(req, res, next) {
+  const ifMatch = req.headers['if-match'];
+  let expected = null;
+  if (ifMatch && ifMatch.trim() === '*') {
+    // If-Match: * 匹配任意现有版本，不检查版本号
+    return next();
+  } else if (ifMatch) {
+    const match = /^(?:W\/)?"?(\d+)"?$/.exec(ifMatch.trim());
+    expected = match ? Number(match[1]) : NaN;
+  } else if (req.body && req.body.version !== undefined) {
+    expected = Number(req.body.version);
+  }
+
+  if (expected !== null && expected !== req.record.version) {
+    setRecordETag(res, req.record);
+    return res.status(409).json({ message: '记录已被修改，请刷新后重试', record: req.record });
+  }
+  next();
+}
+
+// 中间件：已验收浇筑批次中的记录不能修改或删除，避免改变已对账的计算体积（需在 loadRecord 之后使用）
+function rejectVerifiedPourRecord(req, res, next) {
+  if (getVerifiedPourRecordIds(req.scope).has(req.record.id)) {
+    return res.status(409).json({ message: '该记录所在的浇筑批次已验收，不能修改或删除' });
+  }
+  next();
+}
+
+function setRecordETag(res, record) {
+  res.set('ETag', `"${record.version}"`);
+}
+
+// 每条历史数据保留的旧版本数量上限
+const MAX_HISTORY_VERSIONS = 20;
+
+// 记录的元数据字段，比较差异时忽略
+const RECORD_META_FIELDS = ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'version'];
+
+// 中间件：按路由参数中的ID加载当前数据范围的历史数据（需在 resolveScope 之后使用）
+function loadHistory(req, res, next) {
+  const historyId = Number(req.params.id);
+  if (isNaN(historyId)) {
+    return res.status(400).json({ message: '无效的历史ID' });
+  }
+
+  const index = req.scope.history.findIndex(h => h.id === historyId);
+  if (index === -1) {
+    return res.status(404).json({ message: '未找到历史数据' });
+  }
+  req.historyIndex = index;
+  req.historyItem = req.scope.history[index];
+  next();
+}
+
+// 返回不含旧版本内容的历史数据
+function getHistoryView(item) {
+  const { versions, ...entry } = item;
+  return { ...entry, version: item.version || 1, versionCount: (versions || []).length + 1 };
+}
+
+// 历史数据的当前内容（旧数据没有版本号，视为第1版）
+function getCurrentHistoryVersion(item) {
+  return {
+    version: item.version || 1,
+    name: item.name,
+    records: item.records,
+    updatedAt: item.updatedAt,
+    updatedBy: item.updatedBy || item.createdBy,
+    restoredFrom: item.restoredFrom || null
+  };
+}
+
+// 按版本号获取历史数据的某个版本（包括当前版本），不存在时返回 null
+function getHistoryVersion(item, version) {
+  const current = getCurrentHistoryVersion(item);
+  if (version === current.version) return current;
+  return (item.versions || []).find(v => v.version === version) || null;
+}
+
+// 将当前内容存为旧版本，并替换为新的名称和记录；restoredFrom 为恢复来源的版本号
+function createHistoryVersion(item, { name, records, restoredFrom = null }, username) {
+  const versions = [...(item.versions || []), getCurrentHistoryVersion(item)];
+  return {
+    ...item,
+    name,
+    records,
+    restoredFrom,
+    version: (item.version || 1) + 1,
+    versions: versions.slice(-MAX_HISTORY_VERSIONS),
+    updatedAt: new Date().toISOString(),
+    updatedBy: username
+  };
+}
+
+// 记录的匹配键：优先使用记录ID，没有ID的旧数据使用部位+构件+编号
+function getRecordKey(record) {
+  return typeof record.id === 'string' ? record.id : `${record.part}|${record.type}|${record.number}`;
+}
+
+function getChangedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key =>
+    !RECORD_META_FIELDS.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+}
+
+// 比较两组记录，返回新增、删除、修改的记录及体积变化
+function diffRecords(fromRecords, toRecords) {
+  const remaining = new Map();
+  for (const record of fromRecords) {
+    const key = getRecordKey(record);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(record);
+  }
+
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+  for (const record of toRecords) {
+    const matches = remaining.get(getRecordKey(record));
+    const before = matches && matches.shift();
+    if (!before) {
+      added.push(record);
+      continue;
+    }
+
+    const fields = getChangedFields(before, record);
+    if (fields.length === 0) {
+      unchangedCount++;
+    } else {
+      changed.push({ before, after: record, fields, volumeDelta: +((record.volume || 0) - (before.volume || 0)).toFixed(3) });
+    }
+  }
+
+  const removed = [...remaining.values()].flat();
+  const fromVolume = sumVolume(fromRecords);
+  const toVolume = sumVolume(toRecords);
+  return {
+    added,
+    removed,
+    changed,
+    unchangedCount,
+    volume: { from: fromVolume, to: toVolume, delta: +(toVolume - fromVolume).toFixed(3) }
+  };
+}
+
+// 体积差及变化率（基准为0时变化率为 null）
+function getVolumeDelta(baseVolume, targetVolume) {
+  const delta = +(targetVolume - baseVolume).toFixed(3);
+  return { delta, rate: baseVolume > 0 ? +(delta / baseVolume * 100).toFixed(2) : null };
+}
+
+// 按部位+构件+编号汇总记录的数量及体积
+function groupTakeoffItems(records) {
+  const items = new Map();
+  for (const r of records) {
+    const key = `${r.part}|${r.type}|${r.number}`;
+    if (!items.has(key)) {
+      items.set(key, { part: r.part, type: r.type, number: r.number, count: 0, volume: 0 });
+    }
+    const item = items.get(key);
+    item.count += r.count;
+    item.volume = +(item.volume + (r.volume || 0)).toFixed(3);
+  }
+  return items;
+}
+
+// 对比两份工程量（如预算量与实际量）：按部位+构件+编号匹配，
+// 返回每个构件及每个部位的体积差、只在一侧存在的构件和总量
+function compareTakeoffs(baseRecords, targetRecords) {
+  const baseItems = groupTakeoffItems(baseRecords);
+  const targetItems = groupTakeoffItems(targetRecords);
+
+  const items = [];
+  const baseOnly = [];
+  const targetOnly = [];
+  for (const [key, base] of baseItems) {
+    const target = targetItems.get(key);
+    if (!target) {
+      baseOnly.push(base);
+      continue;
+    }
+    items.push({
+      part: base.part,
+      type: base.type,
+      number: base.number,
+      baseCount: base.count,
+      targetCount: target.count,
+      baseVolume: base.volume,
+      targetVolume: target.volume,
+      ...getVolumeDelta(base.volume, target.volume)
+    });
+  }
+  for (const [key, target] of targetItems) {
+    if (!baseItems.has(key)) targetOnly.push(target);
+  }
+
+  const parts = [...new Set([...baseRecords, ...targetRecords].map(r => r.part))].map(part => {
+    const baseVolume = sumVolume(baseRecords.filter(r => r.part === part));
+    const targetVolume = sumVolume(targetRecords.filter(r => r.part === part));
+    return { part, baseVolume, targetVolume, ...getVolumeDelta(baseVolume, targetVolume) };
+  });
+
+  const baseVolume = sumVolume(baseRecords);
+  const targetVolume = sumVolume(targetRecords);
+  return {
+    items,
+    baseOnly,
+    targetOnly,
+    parts,
+    total: { baseVolume, targetVolume, ...getVolumeDelta(baseVolume, targetVolume) }
+  };
+}
+
+// 按查询参数 base、target 获取要对比的两条历史数据，返回 { base, target } 或 { status, error }
+function getCompareEntries(req) {
+  const baseId = Number(req.query.base);
+  const targetId = Number(req.query.target);
+  if (!req.query.base || !req.query.target || isNaN(baseId) || isNaN(targetId)) {
+    return { status: 400, error: '请指定要对比的两条历史数据' };
+  }
+  if (baseId === targetId) {
+    return { status: 400, error: '请选择两条不同的历史数据' };
+  }
+
+  const base = req.scope.history.find(h => h.id === baseId);
+  const target = req.scope.history.find(h => h.id === targetId);
+  if (!base || !target) {
+    return { status: 404, error: '未找到历史数据' };
+  }
+  return { base, target };
+}
+
+// 保存当前数据范围的记录
+async function saveScopeRecords(scope) {
+  if (scope.project) {
+    await db.saveProjectRecordsById(scope.project.id, scope.records);
+  } else {
+    await db.saveUserRecordsByUsername(scope.name, scope.records);
+  }
+}
+
+// 保存当前数据范围的历史数据
+async function saveScopeHistory(scope) {
+  if (scope.project) {
+    await db.saveProjectHistoryById(scope.project.id, scope.history);
+  } else {
+    await db.saveUserHistoryByUsername(scope.name, scope.history);
+  }
+}
+
+// 保存当前数据范围的部位层级（保存在项目或用户数据中）
+async function saveScopeLocations(scope) {
+  if (scope.project) {
+    await db.saveProject(scope.project);
+  } else {
+    await db.updateUser(scope.name, { locations: getScopeLocations(scope) });
+  }
+}
+
+// 当前数据范围的部位层级节点（平铺，按 parentId 组成树）
+function getScopeLocations(scope) {
+  const owner = getScopeOwner(scope);
+  if (!owner.locations) {
+    owner.locations = [];
+  }
+  return owner.locations;
+}
+
+// 部位节点的完整名称，如 "1#楼/B1/A区"：{ 节点ID: 完整名称 }
+function getLocationPaths(locations) {
+  const byId = new Map(locations.map(n => [n.id, n]));
+  const paths = new Map();
+  const getPath = node => {
+    if (!paths.has(node.id)) {
+      const parent = node.parentId ? byId.get(node.parentId) : null;
+      paths.set(node.id, parent ? `${getPath(parent)}${LOCATION_PATH_SEPARATOR}${node.name}` : node.name);
+    }
+    return paths.get(node.id);
+  };
+  locations.forEach(getPath);
+  return paths;
+}
+
+// 节点及其所有下级节点的ID
+function getLocationSubtreeIds(locations, id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    ids.push(...locations.filter(n => n.parentId === ids[i]).map(n => n.id));
+  }
+  return ids;
+}
+
+// 关联记录与部位节点：指定 locationId 时部位取节点的完整名称，
+// 否则按部位名称匹配节点（未匹配的记录不关联节点），返回 { record } 或 { error }
+function resolveRecordLocation(scope, r) {
+  const locations = getScopeLocations(scope);
+  const paths = getLocationPaths(locations);
+  if (r.locationId) {
+    if (!paths.has(r.locationId)) return { error: '部位层级节点不存在' };
+    return { record: { ...r, part: paths.get(r.locationId) } };
+  }
+  return { record: linkLocationByPart(paths, r) };
+}
+
+// 按部位名称匹配层级节点（导入的记录忽略其中的 locationId）
+function linkLocationByPart(paths, r) {
+  const { locationId, ...record } = r;
+  const part = typeof r.part === 'string' ? sanitizeString(r.part) : '';
+  for (const [id, path] of paths) {
+    if (path === part) return { ...record, locationId: id };
+  }
+  return record;
+}
+
+// 生成部位层级树，每个节点汇总自身及所有下级节点的记录数、构件数和体积；
+// 未关联节点（或节点已不存在）的记录计入 unassigned
+function buildLocationTree(locations, records) {
+  const emptyStats = () => ({ recordCount: 0, count: 0, volume: 0, formworkArea: 0, rebarWeight: 0 });
+  const stats = new Map(locations.map(n => [n.id, emptyStats()]));
+  const unassigned = emptyStats();
+  for (const r of records) {
+    const item = (r.locationId && stats.get(r.locationId)) || unassigned;
+    item.recordCount += 1;
+    item.count += r.count;
+    item.volume += r.volume;
+    item.formworkArea += r.formworkArea || 0;
+    item.rebarWeight += r.rebarWeight || 0;
+  }
+
+  const paths = getLocationPaths(locations);
+  const build = (parentId, depth) => locations.filter(n => n.parentId === parentId).map(node => {
+    const children = build(node.id, depth + 1);
+    const own = stats.get(node.id);
+    const total = children.reduce((sum, child) => ({
+      recordCount: sum.recordCount + child.recordCount,
+      count: sum.count + child.count,
+      volume: sum.volume + child.volume,
+      formworkArea: sum.formworkArea + child.formworkArea,
+      rebarWeight: sum.rebarWeight + child.rebarWeight
+    }), own);
+    return {
+      id: node.id,
+      name: node.name,
+      level: LOCATION_LEVELS[depth].level,
+      levelLabel: LOCATION_LEVELS[depth].label,
+      parentId: node.parentId,
+      path: paths.get(node.id),
+      recordCount: total.recordCount,
+      count: total.count,
+      volume: +total.volume.toFixed(3),
+      formworkArea: +total.formworkArea.toFixed(3),
+      rebarWeight: +total.rebarWeight.toFixed(3),
+      children
+    };
+  });
+
+  return {
+    tree: build(null, 0),
+    unassigned: {
+      ...unassigned,
+      volume: +unassigned.volume.toFixed(3),
+      formworkArea: +unassigned.formworkArea.toFixed(3),
+      rebarWeight: +unassigned.rebarWeight.toFixed(3)
+    }
+  };
+}
+
+// 按先序遍历展开层级树
+function flattenLocationTree(tree, depth = 0) {
+  return tree.flatMap(node => [{ ...node, depth }, ...flattenLocationTree(node.children, depth + 1)]);
+}
+
+// 当前数据范围使用的价格表：项目单独设置的价格表优先，否则使用系统价格表
+function getScopePriceTable(scope) {
+  return (scope.project && scope.project.priceTable) || systemSettings.priceTable;
+}
+
+// 当前数据范围的浇筑批次（保存在项目或用户数据中）
+function getScopePours(scope) {
+  const owner = getScopeOwner(scope);
+  if (!owner.pours) {
+    owner.pours = [];
+  }
+  return owner.pours;
+}
+
+// 已验收浇筑批次中的记录ID
+function getVerifiedPourRecordIds(scope) {
+  return new Set(getScopePours(scope).filter(p => p.status === 'verified').flatMap(p => p.recordIds));
+}
+
+// 保存当前数据范围的浇筑批次
+async function saveScopePours(scope) {
+  if (scope.project) {
+    await db.saveProject(scope.project);
+  } else {
+    await db.updateUser(scope.name, { pours: getScopePours(scope) });
+  }
+}
+
+// 是否为有效的日期（YYYY-MM-DD）
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(value);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// 校验浇筑批次字段，修改时（pour 不为空）只校验提交的字段，通过时返回 null
+function getPourError(body, scope, pour = null) {
+  const { name, recordIds, plannedDate, actualDate, supplier, tickets, note } = body;
+  const pours = getScopePours(scope).filter(p => p !== pour);
+
+  if (!pour || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim() || name.length > 50 || /[<>\"'&]/.test(name)) {
+      return '批次名称不能为空、不超过50个字符且不能包含特殊字符';
+    }
+  }
+  if ((!pour || plannedDate !== undefined) && !isValidDateString(plannedDate)) {
+    return '计划浇筑日期格式不正确（YYYY-MM-DD）';
+  }
+  if (actualDate !== undefined && actualDate !== null && !isValidDateString(actualDate)) {
+    return '实际浇筑日期格式不正确（YYYY-MM-DD）';
+  }
+  if (supplier !== undefined && (typeof supplier !== 'string' || supplier.length > 100 || /[<>\"'&]/.test(supplier))) {
+    return '供应商不能超过100个字符且不能包含特殊字符';
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500 || /[<>]/.test(note))) {
+    return '备注不能超过500个字符且不能包含特殊字符';
+  }
+
+  if (!pour || recordIds !== undefined) {
+    if (!Array.isArray(recordIds) || recordIds.length === 0 || recordIds.length > MAX_POUR_RECORDS) {
+      return `浇筑批次需要包含1-${MAX_POUR_RECORDS}条记录`;
+    }
+    if (new Set(recordIds).size !== recordIds.length) {
+      return '记录不能重复';
+    }
+    const recordIdSet = new Set(scope.records.map(r => r.id));
+    if (!recordIds.every(id => typeof id === 'string' && recordIdSet.has(id))) {
+      return '部分记录不存在';
+    }
+    const taken = new Set(pours.flatMap(p => p.recordIds));
+    if (recordIds.some(id => taken.has(id))) {
+      return '部分记录已在其他浇筑批次中';
+    }
+  }
+
+  if (tickets !== undefined) {
+    if (!Array.isArray(tickets) || tickets.length > MAX_POUR_TICKETS) {
+      return `供货小票最多${MAX_POUR_TICKETS}张`;
+    }
+    for (const ticket of tickets) {
+      if (!ticket || typeof ticket !== 'object' || typeof ticket.number !== 'string' || !ticket.number.trim() ||
+          ticket.number.length > 50 || /[<>\"'&]/.test(ticket.number)) {
+        return '小票号不能为空、不超过50个字符且不能包含特殊字符';
+      }
+      if (!Number.isFinite(ticket.volume) || ticket.volume <= 0 || ticket.volume > 1000) {
+        return '小票方量必须大于0且不超过1000';
+      }
+    }
+    const numbers = tickets.map(t => t.number.trim());
+    if (new Set(numbers).size !== numbers.length) {
+      return '小票号不能重复';
+    }
+    const usedNumbers = new Set(pours.flatMap(p => p.tickets.map(t => t.number)));
+    const duplicate = numbers.find(number => usedNumbers.has(number));
+    if (duplicate) {
+      return `小票号 ${duplicate} 已登记在其他浇筑批次中`;
+    }
+  }
+  return null;
+}
+
+// 规范化已校验的供货小票
+function normalizeTickets(tickets) {
+  return tickets.map(t => ({ number: sanitizeString(t.number), volume: +Number(t.volume).toFixed(3) }));
+}
+
+// 损耗率（%）= (到货方量 - 计算体积) / 计算体积，没有小票或计算体积为0时为 null
+function getWasteRate(deliveredVolume, computedVolume, hasTickets) {
+  if (!hasTickets || computedVolume <= 0) return null;
+  return +((deliveredVolume - computedVolume) / computedVolume * 100).toFixed(2);
+}
+
+// 浇筑批次概要：关联记录的计算体积与小票到货方量对账（recordsById 为当前记录 { ID: 记录 }）
+function summarizePour(pour, recordsById) {
+  const records = pour.recordIds.map(id => recordsById.get(id)).filter(Boolean);
+  const computedVolume = sumVolume(records);
+  const deliveredVolume = +pour.tickets.reduce((sum, t) => sum + t.volume, 0).toFixed(3);
+  const hasTickets = pour.tickets.length > 0;
+  return {
+    ...pour,
+    statusLabel: POUR_STATUSES[pour.status].label,
+    // 已浇筑的批次按实际日期排期，计划中的按计划日期
+    date: pour.actualDate || pour.plannedDate,
+    parts: [...new Set(records.map(r => r.part))],
+    grades: [...new Set(records.map(r => r.grade).filter(Boolean))],
+    recordCount: records.length,
+    missingRecords: pour.recordIds.length - records.length,
+    computedVolume,
+    deliveredVolume,
+    wasteVolume: hasTickets ? +(deliveredVolume - computedVolume).toFixed(3) : null,
+    wasteRate: getWasteRate(deliveredVolume, computedVolume, hasTickets)
+  };
+}
+
+// 按日期汇总浇筑批次，可按日期范围（YYYY-MM-DD）及状态筛选；每日损耗率只统计已登记小票的批次
+function buildPourSchedule(pours, records, { dateFrom = null, dateTo = null, status = null } = {}) {
+  const recordsById = new Map(records.map(r => [r.id, r]));
+  const items = pours
+    .map(pour => summarizePour(pour, recordsById))
+    .filter(item => (!dateFrom || item.date >= dateFrom) && (!dateTo || item.date <= dateTo) && (!status || item.status === status))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name, 'zh-CN', { numeric: true }));
+
+  const days = new Map();
+  for (const item of items) {
+    const day = days.get(item.date) || { date: item.date, pours: [], computedVolume: 0, deliveredVolume: 0, ticketedVolume: 0 };
+    day.pours.push(item);
+    day.computedVolume += item.computedVolume;
+    day.deliveredVolume += item.deliveredVolume;
+    if (item.tickets.length > 0) day.ticketedVolume += item.computedVolume;
+    days.set(item.date, day);
+  }
+
+  return [...days.values()].map(({ ticketedVolume, ...day }) => ({
+    ...day,
+    computedVolume: +day.computedVolume.toFixed(3),
+    deliveredVolume: +day.deliveredVolume.toFixed(3),
+    wasteRate: getWasteRate(day.deliveredVolume, ticketedVolume, day.pours.some(p => p.tickets.length > 0))
+  }));
+}
+
+// 数据范围的存储键：个人空间为 user:用户名，项目为 project:项目ID
+function getScopeKey(scope) {
+  return scope.project ? `project:${scope.project.id}` : `user:${scope.name}`;
+}
+
+// 按存储键获取数据范围（用于从回收站恢复），用户或项目已不存在时返回 null
+function getScopeByKey(key) {
+  const separator = key.indexOf(':');
+  const type = key.slice(0, separator);
+  const id = key.slice(separator + 1);
+  if (type === 'user') {
+    if (!users.some(u => u.username === id)) return null;
+    return { project: null, role: 'owner', name: id, records: getUserRecords(id), history: getUserHistory(id) };
+  }
+
+  const project = projects.find(p => p.id === id);
+  if (!project) return null;
+  return { project, role: 'owner', name: project.name, records: getProjectRecords(project.id), history: getProjectHistory(project.id) };
+}
+
+// 将删除的数据移入回收站
+async function moveToTrash(req, kind, data, { scope = null, reason = 'delete' } = {}) {
+  const item = {
+    id: crypto.randomUUID(),
+    kind,
+    scope,
+    reason,
+    deletedAt: new Date().toISOString(),
+    deletedBy: req.account ? req.account.username : null,
+    data
+  };
+  trash.push(item);
+
+  // 保存到文件数据库
+  try {
+    await db.saveTrashItem(item);
+  } catch (error) {
+    console.error('❌ 保存回收站数据失败:', error.message);
+  }
+  return item;
+}
+
+// 从回收站移除（恢复或清除后）
+async function removeTrashItems(ids) {
+  if (ids.length === 0) return;
+  trash = trash.filter(t => !ids.includes(t.id));
+
+  // 保存到文件数据库
+  try {
+    await db.deleteTrashItems(ids);
+  } catch (error) {
+    console.error('❌ 保存回收站清除失败:', error.message);
+  }
+}
+
+function getTrashExpiry(item) {
+  return new Date(new Date(item.deletedAt).getTime() + systemSettings.trashRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// 回收站列表中显示的概要信息（不含完整数据）
+function getTrashSummary(item) {
+  const summary = {
+    id: item.id,
+    kind: item.kind,
+    kindLabel: TRASH_KINDS[item.kind],
+    scope: item.scope,
+    reason: item.reason,
+    deletedAt: item.deletedAt,
+    deletedBy: item.deletedBy,
+    expiresAt: getTrashExpiry(item)
+  };
+
+  if (item.kind === 'records') {
+    const records = item.data.records;
+    const first = records[0];
+    summary.name = `${first.part} ${first.type} ${first.number}${records.length > 1 ? ` 等${records.length}条` : ''}`;
+    summary.recordCount = records.length;
+    summary.volume = sumVolume(records);
+  } else if (item.kind === 'history') {
+    summary.name = item.data.history.name;
+    summary.recordCount = item.data.history.records.length;
+    summary.volume = sumVolume(item.data.history.records);
+  } else if (item.kind === 'project') {
+    summary.name = item.data.project.name;
+    summary.recordCount = item.data.records.length;
+    summary.historyCount = item.data.history.length;
+  } else {
+    summary.name = item.data.user.username;
+    summary.recordCount = item.data.records.length;
+    summary.historyCount = item.data.history.length;
+    summary.projectCount = item.data.projects.length;
+  }
+  return summary;
+}
+
+// 清除超过保留天数的回收站数据
+async function purgeExpiredTrash() {
+  const now = new Date().toISOString();
+  const expired = trash.filter(item => getTrashExpiry(item) <= now).map(item => item.id);
+  if (expired.length > 0) {
+    await removeTrashItems(expired);
+    console.log(`🗑️ 已自动清除 ${expired.length} 项过期的回收站数据`);
+  }
+}
+
+// 恢复已删除的用户及其记录、历史、项目和回收站数据
+async function restoreTrashUser(item) {
+  const { user, records, history, projects: removedProjects, memberships, trash: userTrash } = item.data;
+  if (users.some(u => u.username === user.username)) {
+    return { status: 400, error: '用户名已被占用，无法恢复' };
+  }
+
+  // 恢复前签发的访问令牌不再有效
+  const restoredUser = { ...user, tokenVersion: (user.tokenVersion || 0) + 1 };
+  users.push(restoredUser);
+  userRecords[user.username] = records;
+  userHistory[user.username] = history;
+
+  for (const { project, records: projectRecordList, history: projectHistoryList } of removedProjects) {
+    if (projects.some(p => p.id === project.id)) continue;
+    projects.push(project);
+    projectRecords[project.id] = projectRecordList;
+    projectHistory[project.id] = projectHistoryList;
+  }
+  for (const { projectId, role } of memberships) {
+    const project = projects.find(p => p.id === projectId);
+    if (project && !getProjectRole(project, user.username)) {
+      project.members.push({ username: user.username, role });
+    }
+  }
+  trash.push(...userTrash);
+
+  // 保存到文件数据库
+  try {
+    await db.addUser(restoredUser);
+    await db.saveUserRecordsByUsername(user.username, records);
+    await db.saveUserHistoryByUsername(user.username, history);
+    await db.saveProjects(projects);
+    for (const { project } of removedProjects) {
+      await db.saveProjectRecordsById(project.id, getProjectRecords(project.id));
+      await db.saveProjectHistoryById(project.id, getProjectHistory(project.id));
+    }
+    for (const trashItem of userTrash) {
+      await db.saveTrashItem(trashItem);
+    }
+    console.log(`✅ 用户已从回收站恢复: ${user.username}`);
+  } catch (error) {
+    console.error('❌ 保存用户恢复失败:', error.message);
+  }
+
+  return { message: `用户 ${user.username} 已恢复` };
+}
+
+// 恢复已删除的项目及其记录、历史和回收站数据（已删除的成员不再恢复）
+async function restoreTrashProject(item) {
+  const { project, records, history, trash: projectTrash } = item.data;
+  if (projects.some(p => p.id === project.id)) {
+    return { status: 400, error: '项目已存在，无法恢复' };
+  }
+
+  const members = project.members.filter(m => users.some(u => u.username === m.username));
+  if (!members.some(m => m.role === 'owner')) {
+    return { status: 400, error: '项目所有者已不存在，无法恢复' };
+  }
+
+  const restoredProject = { ...project, members };
+  projects.push(restoredProject);
+  projectRecords[project.id] = records;
+  projectHistory[project.id] = history;
+  trash.push(...projectTrash);
+
+  // 保存到文件数据库
+  try {
+    await db.saveProject(restoredProject);
+    await db.saveProjectRecordsById(project.id, records);
+    await db.saveProjectHistoryById(project.id, history);
+    for (const trashItem of projectTrash) {
+      await db.saveTrashItem(trashItem);
+    }
+    console.log(`✅ 项目已从回收站恢复: ${project.name}`);
+  } catch (error) {
+    console.error('❌ 保存项目恢复失败:', error.message);
+  }
+
+  return { message: `项目“${project.name}”已恢复` };
+}
+
+// 将回收站中的数据恢复到原来的位置，返回 { message } 或 { status, error }
+async function restoreTrashItem(item) {
+  let result;
+  if (item.kind === 'user') {
+    result = await restoreTrashUser(item);
+  } else if (item.kind === 'project') {
+    result = await restoreTrashProject(item);
+  } else {
+    const scope = getScopeByKey(item.scope);
+    if (!scope) {
+      return { status: 404, error: '原所属用户或项目已不存在，无法恢复' };
+    }
+
+    if (item.kind === 'records') {
+      // 已存在相同ID的记录时跳过
+      const existingIds = new Set(scope.records.map(r => r.id));
+      const restorable = item.data.records.filter(r => !existingIds.has(r.id));
+      if (scope.records.length + restorable.length > getScopeQuota(scope).maxRecords) {
+        return { status: 400, error: '恢复后记录数量将超过上限' };
+      }
+      scope.records.push(...restorable);
+      try {
+        await saveScopeRecords(scope);
+      } catch (error) {
+        console.error('❌ 保存记录恢复失败:', error.message);
+      }
+      result = { message: `已恢复 ${restorable.length} 条记录` };
+    } else {
+      const entry = item.data.history;
+      if (scope.history.some(h => h.id === entry.id)) {
+        return { status: 400, error: '该历史数据已存在' };
+      }
+      if (scope.history.length >= getScopeQuota(scope).maxHistory) {
+        return { status: 400, error: '历史数据数量已达上限' };
+      }
+      scope.history.push(entry);
+      try {
+        await saveScopeHistory(scope);
+      } catch (error) {
+        console.error('❌ 保存历史数据恢复失败:', error.message);
+      }
+      result = { message: `历史数据“${entry.name}”已恢复` };
+    }
+  }
+
+  if (!result.error) {
+    await removeTrashItems([item.id]);
+  }
+  return result;
+}
+
+// 审计日志操作类型
+const AUDIT_ACTIONS = {
+  'record.create': '添加记录',
+  'record.update': '修改记录',
+  'record.delete': '删除记录',
+  'record.clear': '清空记录',
+  'record.import': '导入记录',
+  'history.save': '保存历史数据',
+  'history.update': '修改历史数据',
+  'history.delete': '删除历史数据',
+  'history.restore': '恢复历史版本',
+  'location.create': '添加部位层级',
+  'location.update': '重命名部位层级',
+  'location.delete': '删除部位层级',
+  'pour.create': '添加浇筑批次',
+  'pour.update': '修改浇筑批次',
+  'pour.status': '变更浇筑批次状态',
+  'pour.delete': '删除浇筑批次',
+  'price.update': '修改项目价格表',
+  'price.reset': '恢复系统价格表',
+  'user.create': '创建用户',
+  'user.delete': '删除用户',
+  'user.role': '修改用户角色',
+  'user.password_reset': '重置用户密码',
+  'user.logout': '强制用户下线',
+  'user.quota': '修改用户配额',
+  'project.delete': '删除项目',
+  'project.quota': '修改项目配额',
+  'sessions.revoke': '撤销所有会话',
+  'admin.password': '修改管理员密码',
+  'settings.update': '修改系统设置',
+  'backup.create': '创建备份',
+  'backup.download': '下载备份',
+  'backup.restore': '恢复备份',
+  'trash.restore': '从回收站恢复',
+  'trash.purge': '清除回收站数据'
+};
+
+// 写入审计日志（只追加），写入失败不影响本次操作
+async function audit(req, action, { target = null, before = null, after = null } = {}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    username: req.account ? req.account.username : null,
+    ip: req.ip,
+    method: req.method,
+    route: req.originalUrl,
+    action,
+    project: req.scope && req.scope.project ? req.scope.project.id : null,
+    target,
+    before,
+    after
+  };
+
+  try {
+    await db.appendAuditLog(entry);
+  } catch (error) {
+    console.error('❌ 写入审计日志失败:', error.message);
+  }
+}
+
+// 用户注册
+app.post('/register', authLimiter, async (req, res) => {
+  try {
+    // 检查是否允许注册
+    if (!systemSettings.allowRegistration) {
+      return res.status(403).json({ message: '系统当前不允许注册新用户' });
+    }
+    
+    const { username, password } = req.body;
+    
+    // 输入验证
+    if (!validateUsername(username)) {
+      return res.status(400).json({ message: '用户名格式不正确（3-20个字符，只能包含字母、数字、下划线）' });
+    }
+    
+    if (!validatePassword(password)) {
+      return res.status(400).json({ message: '密码格式不正确（6-50个字符）' });
+    }
+    
+    const sanitizedUsername = sanitizeString(username);
+    
+    if (users.find(u => u.username === sanitizedUsername)) {
+      return res.status(400).json({ message: '用户名已存在' });
+    }
+    
+    const user = { 
+      username: sanitizedUsername, 
+      ...(await passwordHasher.create(password)),
+      role: DEFAULT_USER_ROLE,
+      createdAt: new Date().toISOString()
+    };
+    
+    users.push(user);
+    
+    // 为新用户初始化数据存储
+    userRecords[sanitizedUsername] = [];
+    userHistory[sanitizedUsername] = [];
+    
+    // 保存到文件数据库
+    try {
+      await db.addUser(user);
+      console.log(`✅ 新用户注册并保存到数据库: ${sanitizedUsername}`);
+    } catch (error) {
+      console.error('❌ 保存用户数据失败:', error.message);
+      // 即使保存失败，注册仍然成功（数据在内存中）
+    }
+    
+    res.status(201).json({ message: '注册成功' });
+  } catch (error) {
+    console.error('注册错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 用户登录
+app.post('/login', authLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!validateUsername(username) || !validatePassword(password)) {
+      return res.status(400).json({ message: '用户名或密码格式不正确' });
+    }
+    
+    const sanitizedUsername = sanitizeString(username);
+    
+    const user = users.find(u => u.username === sanitizedUsername);
+    if (!user || !(await passwordHasher.verify(password, user))) {
+      return res.status(401).json({ message: '用户名或密码错误' });
+    }
+    
+    if (await upgradePasswordHash(user, password)) {
+      // 保存到文件数据库
+      try {
+        await db.updateUser(user.username, { password: user.password, hashVersion: user.hashVersion });
+        console.log(`✅ 用户密码哈希已升级: ${user.username}`);
+      } catch (error) {
+        console.error('❌ 保存升级后的密码哈希失败:', error.message);
+      }
+    }
+    
+    const tokens = await issueTokens(user, 'user', req);
+    console.log(`用户登录: ${sanitizedUsername}`);
+    res.json({ message: '登录成功', ...tokens });
+  } catch (error) {
+    console.error('登录错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 刷新访问令牌（用户和管理员通用），每次刷新都会轮换刷新令牌
+app.post('/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: '缺少刷新令牌' });
+    }
+    
+    const tokenHash = hashToken(refreshToken);
+    const session = sessions.find(s => s.tokenHash === tokenHash);
+    
+    if (!session) {
+      // 已轮换的旧令牌被再次使用，可能已泄露，撤销对应会话
+      const reused = sessions.find(s => s.previousTokenHash === tokenHash);
+      if (reused) {
+        console.log(`⚠️  刷新令牌被重复使用，已撤销会话: ${reused.username}`);
+        await removeSessions(s => s === reused);
+      }
+      return res.status(401).json({ message: '登录已失效，请重新登录' });
+    }
+    
+    const account = getSessionAccount(session.role, session.username);
+    if (!account || new Date(session.expiresAt) <= new Date()) {
+      await removeSessions(s => s === session);
+      return res.status(401).json({ message: '登录已失效，请重新登录' });
+    }
+    
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+    session.previousTokenHash = session.tokenHash;
+    session.tokenHash = hashToken(newRefreshToken);
+    session.lastUsedAt = new Date().toISOString();
+    session.expiresAt = getRefreshExpiry();
+    
+    // 保存到文件数据库
+    try {
+      await db.saveSession(session);
+    } catch (error) {
+      console.error('❌ 保存登录会话失败:', error.message);
+    }
+    
+    res.json({ token: signAccessToken(account, session.role), refreshToken: newRefreshToken });
+  } catch (error) {
+    console.error('刷新令牌错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 退出登录：撤销当前会话的刷新令牌
+app.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: '缺少刷新令牌' });
+    }
+    
+    const tokenHash = hashToken(refreshToken);
+    await removeSessions(s => s.tokenHash === tokenHash);
+    
+    res.json({ message: '已退出登录' });
+  } catch (error) {
+    console.error('退出登录错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取用户记录（数据隔离）
+app.get('/records', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
+  try {
+    if (!hasRecordQuery(req.query)) {
+      return res.json(req.scope.records);
+    }
+
+    const { options, error } = parseRecordQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(queryRecords(req.scope.records, options));
+  } catch (error) {
+    console.error('获取记录错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 添加记录（数据隔离）
+app.post('/records', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const records = req.scope.records;
+    
+    const { record: r, error: locationError } = resolveRecordLocation(req.scope, req.body);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+    
+    // 数据验证
+    const recordError = getRecordError(r);
+    if (recordError) {
+      return res.status(400).json({ message: recordError });
+    }
+    
+    // 限制记录数量防止内存泄漏
+    if (records.length >= getScopeQuota(req.scope).maxRecords) {
+      return res.status(400).json({ message: '记录数量已达上限' });
+    }
+    
+    const record = buildRecord(r, username);
+    records.push(record);
+    
+    // 保存到文件数据库
+    try {
+      await saveScopeRecords(req.scope);
+      console.log(`✅ 记录已保存到数据库: ${username}`);
+    } catch (error) {
+      console.error('❌ 保存记录失败:', error.message);
+    }
     
-    if (!validatePassword(password)) {
-      return res.status(400).json({ message: '密码格式不正确（6-50个字符）' });
+    await audit(req, 'record.create', { target: record.id, after: record });
+    
+    res.status(201).json({ message: '添加成功', record });
+  } catch (error) {
+    console.error('添加记录错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取单条记录（数据隔离）
+app.get('/records/:id', verifyToken, requirePermission('records.read'), resolveScope, loadRecord, (req, res) => {
+  try {
+    setRecordETag(res, req.record);
+    res.json(req.record);
+  } catch (error) {
+    console.error('获取记录错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 删除记录（数据隔离）
+app.delete('/records/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadRecord, rejectVerifiedPourRecord, checkRecordVersion, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const records = req.scope.records;
+    
+    // 验证是否有权删除此记录
+    if (!canModify(req.scope, req.record, username)) {
+      return res.status(403).json({ message: '无权删除此记录' });
+    }
+    
+    records.splice(records.indexOf(req.record), 1);
+    
+    // 保存到文件数据库
+    try {
+      await saveScopeRecords(req.scope);
+      console.log(`✅ 记录删除已保存到数据库: ${username}`);
+    } catch (error) {
+      console.error('❌ 保存删除操作失败:', error.message);
+    }
+    
+    await moveToTrash(req, 'records', { records: [req.record] }, { scope: getScopeKey(req.scope) });
+    await audit(req, 'record.delete', { target: req.record.id, before: req.record });
+    
+    res.json({ message: '删除成功，可在回收站恢复' });
+  } catch (error) {
+    console.error('删除记录错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 更新记录：PUT 提交完整记录，PATCH 只提交需要修改的字段（数据隔离）
+async function updateRecord(req, res) {
+  try {
+    const username = req.user.username;
+    const records = req.scope.records;
+    const record = req.record;
+    
+    // 验证是否有权修改此记录
+    if (!canModify(req.scope, record, username)) {
+      return res.status(403).json({ message: '无权修改此记录' });
+    }
+    
+    // PATCH 只修改部位名称时按新名称重新匹配层级节点
+    const changes = req.method === 'PATCH' && req.body.part !== undefined && req.body.locationId === undefined
+      ? { ...req.body, locationId: null }
+      : req.body;
+    const { record: r, error: locationError } = resolveRecordLocation(
+      req.scope,
+      req.method === 'PATCH' ? { ...record, ...changes } : changes
+    );
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+    
+    // 数据验证
+    const recordError = getRecordError(r);
+    if (recordError) {
+      return res.status(400).json({ message: recordError });
+    }
+    
+    // 更新记录（层级节点以本次提交为准）
+    const { locationId, ...previous } = formulas.omitDimensions(record);
+    const updated = {
+      ...previous,
+      ...normalizeRecord(r),
+      version: record.version + 1,
+      updatedAt: new Date().toISOString(),
+      updatedBy: username
+    };
+    records[records.indexOf(record)] = updated;
+    
+    // 保存到文件数据库
+    try {
+      await saveScopeRecords(req.scope);
+      console.log(`✅ 记录更新已保存到数据库: ${username}`);
+    } catch (error) {
+      console.error('❌ 保存更新操作失败:', error.message);
+    }
+    
+    await audit(req, 'record.update', { target: record.id, before: record, after: updated });
+    
+    setRecordETag(res, updated);
+    res.json({ message: '更新成功', record: updated });
+  } catch (error) {
+    console.error('更新记录错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+}
+
+app.put('/records/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadRecord, rejectVerifiedPourRecord, checkRecordVersion, updateRecord);
+app.patch('/records/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadRecord, rejectVerifiedPourRecord, checkRecordVersion, updateRecord);
+
+// 清空所有记录（数据隔离）
+app.delete('/records', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const records = req.scope.records;
+    
+    // 清空记录：项目编辑者只清空自己创建的记录
+    const removed = records.filter(r => canModify(req.scope, r, username));
+    const remaining = records.filter(r => !canModify(req.scope, r, username));
+
+    const verifiedIds = getVerifiedPourRecordIds(req.scope);
+    const lockedCount = removed.filter(r => verifiedIds.has(r.id)).length;
+    if (lockedCount > 0) {
+      return res.status(409).json({ message: `有 ${lockedCount} 条记录所在的浇筑批次已验收，不能清空` });
+    }
+    records.length = 0;
+    records.push(...remaining);
+    
+    // 保存到文件数据库
+    try {
+      await saveScopeRecords(req.scope);
+      console.log(`✅ 记录清空已保存到数据库: ${username}`);
+    } catch (error) {
+      console.error('❌ 保存清空操作失败:', error.message);
+    }
+    
+    if (removed.length > 0) {
+      await moveToTrash(req, 'records', { records: removed }, { scope: getScopeKey(req.scope), reason: 'clear' });
+    }
+    await audit(req, 'record.clear', { target: req.scope.name, before: removed });
+    
+    res.json({ message: '所有记录已清空，可在回收站恢复' });
+  } catch (error) {
+    console.error('清空记录错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 导出格式：xlsx（默认）、pdf、html（打印视图）、csv、json
+const EXPORT_FORMATS = ['xlsx', 'pdf', 'html', 'csv', 'json'];
+
+// 按请求的格式导出记录：?format= 指定格式，CSV 可用 ?encoding=gbk 指定编码
+async function sendExport(req, res, records, { source, baseName }) {
+  const username = req.user.username;
+  const format = req.query.format || 'xlsx';
+  const encoding = req.query.encoding || 'utf8';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: '不支持的导出格式' });
+  }
+  if (format === 'csv' && encoding !== 'utf8' && encoding !== 'gbk') {
+    return res.status(400).json({ message: 'CSV编码必须为 utf8 或 gbk' });
+  }
+
+  if (records.length === 0) {
+    return res.status(400).send('无数据导出');
+  }
+
+  let buf;
+  let contentType;
+  if (format === 'csv') {
+    const estimator = new CostEstimator(getScopePriceTable(req.scope));
+    buf = secureExcel.generateCsv(buildExportSheets(records, username, estimator)[IMPORT_SHEET], encoding);
+    contentType = `text/csv; charset=${encoding === 'gbk' ? 'gbk' : 'utf-8'}`;
+  } else if (format === 'json') {
+    buf = Buffer.from(JSON.stringify(records, null, 2), 'utf8');
+    contentType = 'application/json; charset=utf-8';
+  } else {
+    const report = buildExportReport(records, {
+      projectName: req.scope.project ? req.scope.project.name : username,
+      source,
+      preparer: username,
+      locations: getScopeLocations(req.scope),
+      priceTable: getScopePriceTable(req.scope)
+    });
+
+    if (format === 'html') {
+      res.type('html');
+      return res.send(reportPrinter.renderHtml(report));
+    }
+
+    if (format === 'pdf') {
+      if (!reportPrinter.hasFont()) {
+        return res.status(500).json({ message: '服务器未安装中文字体，无法生成PDF，请设置 PDF_FONT_PATH' });
+      }
+      buf = await reportPrinter.renderPdf(report);
+      contentType = 'application/pdf';
+    } else {
+      buf = secureExcel.generateReport(report);
+      contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    }
+  }
+
+  const filename = secureExcel.generateSafeFilename(baseName, format);
+  const encodedFilename = encodeURIComponent(filename);
+  
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
+  res.setHeader('Content-Type', contentType);
+  res.send(buf);
+}
+
+// 导出记录（数据隔离）- 使用安全的 Excel 处理器
+app.get('/export', verifyToken, requirePermission('records.read'), resolveScope, async (req, res) => {
+  try {
+    await sendExport(req, res, req.scope.records, {
+      baseName: `混凝土量_${req.scope.name}`
+    });
+  } catch (error) {
+    console.error('导出错误:', error);
+    res.status(500).json({ message: '导出失败' });
+  }
+});
+
+// 导出历史数据（数据隔离）- 使用安全的 Excel 处理器
+app.get('/export/history/:id', verifyToken, requirePermission('records.read'), resolveScope, async (req, res) => {
+  try {
+    const historyId = Number(req.params.id);
+    
+    if (isNaN(historyId)) {
+      return res.status(400).json({ message: '无效的历史ID' });
+    }
+    
+    const historyItem = req.scope.history.find(h => h.id === historyId);
+    
+    if (!historyItem) {
+      return res.status(404).json({ message: '未找到历史数据' });
+    }
+    
+    await sendExport(req, res, historyItem.records, {
+      source: historyItem.name,
+      baseName: `混凝土量_${req.scope.name}_${historyItem.name}`
+    });
+  } catch (error) {
+    console.error('导出历史数据错误:', error);
+    res.status(500).json({ message: '导出失败' });
+  }
+});
+
+// 导出两条历史数据的工程量对比（数据隔离）- 使用安全的 Excel 处理器
+app.get('/export/compare', verifyToken, requirePermission('records.read'), resolveScope, async (req, res) => {
+  try {
+    const { base, target, status, error } = getCompareEntries(req);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const username = req.user.username;
+    const report = buildCompareReport(base, target, compareTakeoffs(base.records, target.records), {
+      projectName: req.scope.project ? req.scope.project.name : username,
+      preparer: username
+    });
+    const buf = secureExcel.generateReport(report);
+    const filename = secureExcel.generateSafeFilename(`工程量对比_${base.name}_${target.name}`, 'xlsx');
+
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(buf);
+  } catch (error) {
+    console.error('导出对比错误:', error);
+    res.status(500).json({ message: '导出失败' });
+  }
+});
+
+// 导出按日期汇总的浇筑计划表（?dateFrom=&dateTo=&status=，数据隔离）
+app.get('/export/pours', verifyToken, requirePermission('records.read'), resolveScope, async (req, res) => {
+  try {
+    const { options, error } = parsePourQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const days = buildPourSchedule(getScopePours(req.scope), req.scope.records, options);
+    if (days.length === 0) {
+      return res.status(400).json({ message: '没有可导出的浇筑批次' });
+    }
+
+    const username = req.user.username;
+    const report = buildPourScheduleReport(days, req.scope.records, {
+      projectName: req.scope.project ? req.scope.project.name : username,
+      preparer: username,
+      dateFrom: options.dateFrom,
+      dateTo: options.dateTo
+    });
+    const buf = secureExcel.generateReport(report);
+    const filename = secureExcel.generateSafeFilename(`浇筑计划_${req.scope.project ? req.scope.project.name : username}`, 'xlsx');
+
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(buf);
+  } catch (error) {
+    console.error('导出浇筑计划错误:', error);
+    res.status(500).json({ message: '导出失败' });
+  }
+});
+
+// Excel导入表头与记录字段的对应关系（与 /export 表头一致），尺寸列见 formulas.getDimensionColumns()
+const IMPORT_COLUMNS = {
+  部位: 'part',
+  构件: 'type',
+  编号: 'number',
+  数量: 'count'
+};
+const IMPORT_OPTIONAL_COLUMNS = {
+  强度等级: 'grade',
+  形状: 'shape',
+  扣减: 'deductions',
+  扣减体积: 'deductionVolume'
+};
+const IMPORT_NUMBER_FIELDS = ['count', 'deductionVolume'];
+
+// 将Excel行数据解析为记录，返回有效记录和逐行错误
+function parseImportRows(rows) {
+  if (rows.length === 0) {
+    throw new Error('文件中没有数据');
+  }
+
+  // 映射表头
+  const header = rows[0].map(cell => String(cell).trim());
+  const columnIndex = {};
+  for (const [title, field] of Object.entries(IMPORT_COLUMNS)) {
+    const idx = header.indexOf(title);
+    if (idx === -1) {
+      throw new Error(`缺少表头: ${title}`);
+    }
+    columnIndex[field] = idx;
+  }
+  for (const [title, field] of Object.entries(IMPORT_OPTIONAL_COLUMNS)) {
+    const idx = header.indexOf(title);
+    if (idx !== -1) {
+      columnIndex[field] = idx;
+    }
+  }
+  const dimensionIndex = {};
+  for (const field of formulas.getDimensionColumns()) {
+    const idx = header.indexOf(field.label);
+    if (idx !== -1) {
+      dimensionIndex[field.key] = idx;
+    }
+  }
+
+  const records = [];
+  const errors = [];
+
+  rows.slice(1).forEach((row, i) => {
+    const rowNumber = i + 2; // Excel行号（第1行为表头）
+    const record = {};
+    for (const [field, idx] of Object.entries(columnIndex)) {
+      const cell = row[idx];
+      if (IMPORT_NUMBER_FIELDS.includes(field)) {
+        record[field] = cell === '' || cell === null || cell === undefined ? NaN : Number(cell);
+      } else {
+        record[field] = cell === null || cell === undefined ? '' : String(cell).trim();
+      }
+    }
+
+    // 形状列可填写形状名称或编号，留空时使用构件类型的默认形状；只读取该形状的尺寸列
+    if (record.shape === '') {
+      delete record.shape;
+    } else if (record.shape !== undefined) {
+      record.shape = formulas.findShapeKey(record.shape) || record.shape;
+    }
+    const shape = formulas.getShape(formulas.resolveShape(record));
+    for (const field of shape ? shape.fields : []) {
+      record[field.key] = formulas.parseDimension(field, row[dimensionIndex[field.key]]);
+    }
+
+    // 扣减列格式同录入界面；没有扣减列的旧文件中有扣减体积的行无法还原扣减项，不能导入
+    const { deductionVolume, ...parsed } = record;
+    let message = null;
+    if (parsed.deductions !== undefined) {
+      parsed.deductions = formulas.parseDeductions(parsed.deductions);
+      if (!parsed.deductions) message = '扣减格式不正确（名称,宽,高,厚,数量，多项用分号分隔）';
+    } else if (deductionVolume > 0) {
+      message = '有扣减体积但缺少扣减列，无法还原扣减项';
+    }
+
+    message = message || getRecordError(parsed);
+    if (message) {
+      errors.push({ row: rowNumber, message });
+    } else {
+      records.push({ row: rowNumber, record: parsed });
+    }
+  });
+
+  return { totalRows: rows.length - 1, records, errors };
+}
+
+// 将 JSON 记录数组解析为记录，返回与 Excel 导入相同的结构（行号为数组序号，从1开始）
+function parseImportJson(data) {
+  const items = Array.isArray(data) ? data : (data && Array.isArray(data.records) ? data.records : null);
+  if (!items) {
+    throw new Error('JSON 必须为记录数组');
+  }
+  if (items.length === 0) {
+    throw new Error('文件中没有数据');
+  }
+  if (items.length > secureExcel.maxRows) {
+    throw new Error(`数据行数超过限制 (${secureExcel.maxRows})`);
+  }
+
+  const records = [];
+  const errors = [];
+
+  items.forEach((item, i) => {
+    const rowNumber = i + 1;
+    const message = getRecordError(item);
+    if (message) {
+      errors.push({ row: rowNumber, message });
+    } else {
+      records.push({ row: rowNumber, record: item });
+    }
+  });
+
+  return { totalRows: items.length, records, errors };
+}
+
+// 导入格式：?format= 指定，未指定时按 Content-Type 判断，默认 xlsx
+const IMPORT_FORMATS = ['xlsx', 'csv', 'json'];
+
+function getImportFormat(req) {
+  if (req.query.format) return req.query.format;
+  if (req.is('text/csv') || req.is('text/plain')) return 'csv';
+  if (req.is('application/json')) return 'json';
+  return 'xlsx';
+}
+
+// 按格式解析上传内容，均经过 getRecordError 校验
+function parseImportBody(body, format) {
+  if (format === 'json') {
+    // application/json 已由 express.json 解析，其余类型为原始 Buffer
+    let data = body;
+    if (Buffer.isBuffer(body)) {
+      try {
+        data = JSON.parse(secureExcel.decodeText(body));
+      } catch (error) {
+        throw new Error('JSON 格式不正确');
+      }
+    }
+    return parseImportJson(data);
+  }
+  const rows = format === 'csv'
+    ? secureExcel.readCsvFile(body)
+    : secureExcel.readExcelFile(body, IMPORT_SHEET);
+  return parseImportRows(secureExcel.cleanData(rows));
+}
+
+// 导入 Excel / CSV / JSON（数据隔离）- 支持预览(dryRun)及追加/替换模式
+app.post('/import', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, express.raw({
+  type: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream', 'text/csv', 'text/plain'],
+  limit: '10mb'
+}), async (req, res) => {
+  try {
+    const username = req.user.username;
+    const mode = req.query.mode || 'append';
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const format = getImportFormat(req);
+
+    if (mode !== 'append' && mode !== 'replace') {
+      return res.status(400).json({ message: '导入模式不正确（append 或 replace）' });
+    }
+
+    if (mode === 'replace' && req.scope.role !== 'owner') {
+      return res.status(403).json({ message: '只有项目所有者可以替换全部记录' });
+    }
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: '不支持的导入格式' });
+    }
+
+    const hasBody = Buffer.isBuffer(req.body)
+      ? req.body.length > 0
+      : format === 'json' && req.body !== undefined && req.body !== null && typeof req.body === 'object';
+    if (!hasBody) {
+      return res.status(400).json({ message: '请上传Excel、CSV或JSON文件' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseImportBody(req.body, format);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const records = req.scope.records;
+    const locationPaths = getLocationPaths(getScopeLocations(req.scope));
+    const validRecords = parsed.records.map(item => buildRecord(linkLocationByPart(locationPaths, item.record), username));
+    const resultCount = mode === 'replace' ? validRecords.length : records.length + validRecords.length;
+
+    const report = {
+      mode,
+      dryRun,
+      totalRows: parsed.totalRows,
+      validCount: validRecords.length,
+      errorCount: parsed.errors.length,
+      errors: parsed.errors
+    };
+
+    if (resultCount > getScopeQuota(req.scope).maxRecords) {
+      return res.status(400).json({ ...report, message: '导入后记录数量将超过上限' });
+    }
+
+    if (mode === 'replace') {
+      const verifiedIds = getVerifiedPourRecordIds(req.scope);
+      const lockedCount = records.filter(r => verifiedIds.has(r.id)).length;
+      if (lockedCount > 0) {
+        return res.status(409).json({ ...report, message: `有 ${lockedCount} 条记录所在的浇筑批次已验收，不能替换全部记录` });
+      }
+    }
+
+    if (dryRun) {
+      return res.json({ ...report, message: '预览完成', records: validRecords });
+    }
+
+    if (validRecords.length === 0) {
+      return res.status(400).json({ ...report, message: '没有可导入的有效数据' });
+    }
+
+    const replaced = mode === 'replace' ? [...records] : [];
+    if (mode === 'replace') {
+      records.length = 0;
+    }
+    records.push(...validRecords);
+
+    // 保存到文件数据库
+    try {
+      await saveScopeRecords(req.scope);
+      console.log(`✅ 导入记录已保存到数据库: ${username} (${validRecords.length}条)`);
+    } catch (error) {
+      console.error('❌ 保存导入记录失败:', error.message);
     }
+
+    if (replaced.length > 0) {
+      await moveToTrash(req, 'records', { records: replaced }, { scope: getScopeKey(req.scope), reason: 'import' });
+    }
+    await audit(req, 'record.import', { target: `${format}:${mode}`, before: replaced, after: validRecords });
+
+    res.status(201).json({ ...report, message: `成功导入 ${validRecords.length} 条记录` });
+  } catch (error) {
+    console.error('导入错误:', error);
+    res.status(500).json({ message: '导入失败' });
+  }
+});
+
+// 获取用户统计信息（数据隔离）
+app.get('/stats', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
+  try {
+    const records = req.scope.records;
+    
+    const gradeSummary = summarizeByGrade(records);
+    const stats = {
+      totalRecords: records.length,
+      totalVolume: records.reduce((sum, r) => sum + r.volume, 0),
+      totalGrossVolume: +records.reduce((sum, r) => sum + (r.grossVolume !== undefined ? r.grossVolume : r.volume), 0).toFixed(3),
+      totalDeductionVolume: +records.reduce((sum, r) => sum + (r.deductionVolume || 0), 0).toFixed(3),
+      totalFormworkArea: +records.reduce((sum, r) => sum + (r.formworkArea || 0), 0).toFixed(3),
+      totalRebarWeight: +records.reduce((sum, r) => sum + (r.rebarWeight || 0), 0).toFixed(3),
+      parts: [...new Set(records.map(r => r.part))],
+      types: [...new Set(records.map(r => r.type))],
+      grades: gradeSummary.byGrade,
+      gradeParts: gradeSummary.byGradePart,
+      lastUpdated: records.length > 0 ? Math.max(...records.map(r => new Date(r.createdAt).getTime())) : null,
+      quota: getQuotaUsage(getScopeOwner(req.scope), records, req.scope.history),
+      cost: new CostEstimator(getScopePriceTable(req.scope)).summarize(records)
+    };
     
-    const sanitizedUsername = sanitizeString(username);
+    res.json(stats);
+  } catch (error) {
+    console.error('获取统计信息错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取混凝土强度等级列表
+app.get('/grades', verifyToken, (req, res) => {
+  res.json(systemSettings.concreteGrades);
+});
+
+// 获取构件形状公式定义
+app.get('/formulas', verifyToken, (req, res) => {
+  res.json(formulas.toJSON());
+});
+
+// 获取构件库：每种构件的可用形状、默认形状及其尺寸字段（已替换尺寸名称）、计量单位
+app.get('/catalog', verifyToken, (req, res) => {
+  res.json(systemSettings.componentCatalog.map(item => ({
+    ...item,
+    defaultShape: item.shapes[0],
+    fields: formulas.getFields(item.shapes[0], item.type)
+  })));
+});
+
+// 获取用户历史数据（数据隔离）
+app.get('/history', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
+  try {
+    res.json(req.scope.history.map(getHistoryView));
+  } catch (error) {
+    console.error('获取历史数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 对比两条历史数据的工程量（?base=基准ID&target=对比ID，数据隔离）
+app.get('/history/compare', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
+  try {
+    const { base, target, status, error } = getCompareEntries(req);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    res.json({
+      base: { id: base.id, name: base.name, recordCount: base.records.length },
+      target: { id: target.id, name: target.name, recordCount: target.records.length },
+      ...compareTakeoffs(base.records, target.records)
+    });
+  } catch (error) {
+    console.error('对比历史数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取单条历史数据，可按记录查询参数分页筛选其中的记录（数据隔离）
+app.get('/history/:id', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
+  try {
+    const historyId = Number(req.params.id);
+    const item = req.scope.history.find(h => h.id === historyId);
+    if (!item) {
+      return res.status(404).json({ message: '未找到历史数据' });
+    }
+
+    if (!hasRecordQuery(req.query)) {
+      return res.json(getHistoryView(item));
+    }
+
+    const { options, error } = parseRecordQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { records, ...entry } = getHistoryView(item);
+    res.json({ ...entry, ...queryRecords(records, options) });
+  } catch (error) {
+    console.error('获取历史数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 保存数据（数据隔离）
+app.post('/save', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const { name, records } = req.body;
+
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ message: '名称格式不正确' });
+    }
+
+    if (!Array.isArray(records) || records.length === 0 || records.length > getScopeQuota(req.scope).maxRecords) {
+      return res.status(400).json({ message: '记录格式不正确或数量过多' });
+    }
+
+    // 验证所有记录
+    for (let i = 0; i < records.length; i++) {
+      const recordError = getRecordError(records[i]);
+      if (recordError) {
+        return res.status(400).json({ message: `第${i + 1}条记录数据格式不正确：${recordError}` });
+      }
+    }
+
+    const sanitizedName = sanitizeString(name);
     
-    if (users.find(u => u.username === sanitizedUsername)) {
-      return res.status(400).json({ message: '用户名已存在' });
+    // 限制历史数据数量
+    const history = req.scope.history;
+    if (history.length >= getScopeQuota(req.scope).maxHistory) {
+      return res.status(400).json({ message: '历史数据数量已达上限' });
+    }
+
+    const historyEntry = {
+      id: Date.now(),
+      name: sanitizedName,
+      records: records.map(r => ({
+        ...formulas.omitDimensions(r),
+        ...normalizeRecord(r)
+      })),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      createdBy: username,
+      version: 1
+    };
+
+    history.push(historyEntry);
+
+    // 保存到文件数据库
+    try {
+      await saveScopeHistory(req.scope);
+      console.log(`✅ 历史数据已保存到数据库: ${username}`);
+    } catch (error) {
+      console.error('❌ 保存历史数据失败:', error.message);
+    }
+
+    await audit(req, 'history.save', { target: historyEntry.id, after: historyEntry });
+
+    res.status(201).json({ message: '数据保存成功', historyEntry });
+  } catch (error) {
+    console.error('保存数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 更新历史数据（数据隔离）
+app.put('/history/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const historyId = Number(req.params.id);
+    const { name, records } = req.body;
+
+    if (isNaN(historyId)) {
+      return res.status(400).json({ message: '无效的历史ID' });
+    }
+
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ message: '名称格式不正确' });
+    }
+
+    if (!Array.isArray(records) || records.length === 0 || records.length > getScopeQuota(req.scope).maxRecords) {
+      return res.status(400).json({ message: '记录格式不正确或数量过多' });
+    }
+
+    // 验证所有记录
+    for (let i = 0; i < records.length; i++) {
+      const recordError = getRecordError(records[i]);
+      if (recordError) {
+        return res.status(400).json({ message: `第${i + 1}条记录数据格式不正确：${recordError}` });
+      }
+    }
+
+    const sanitizedName = sanitizeString(name);
+    const history = req.scope.history;
+    const index = history.findIndex(h => h.id === historyId);
+
+    if (index === -1) {
+      return res.status(404).json({ message: '未找到历史数据' });
+    }
+
+    if (!canModify(req.scope, history[index], username)) {
+      return res.status(403).json({ message: '无权修改此历史数据' });
+    }
+
+    // 修改前的内容保存为旧版本
+    const previous = history[index];
+    history[index] = createHistoryVersion(previous, {
+      name: sanitizedName,
+      records: records.map(r => ({
+        ...formulas.omitDimensions(r),
+        ...normalizeRecord(r)
+      }))
+    }, username);
+
+    // 保存到文件数据库
+    try {
+      await saveScopeHistory(req.scope);
+      console.log(`✅ 历史数据更新已保存到数据库: ${username}`);
+    } catch (error) {
+      console.error('❌ 保存历史数据更新失败:', error.message);
+    }
+
+    await audit(req, 'history.update', {
+      target: historyId,
+      before: getHistoryView(previous),
+      after: getHistoryView(history[index])
+    });
+
+    res.json({ message: '历史数据更新成功', historyEntry: getHistoryView(history[index]) });
+  } catch (error) {
+    console.error('更新历史数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 删除历史数据（数据隔离）
+app.delete('/history/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const historyId = Number(req.params.id);
+
+    if (isNaN(historyId)) {
+      return res.status(400).json({ message: '无效的历史ID' });
+    }
+
+    const history = req.scope.history;
+    const index = history.findIndex(h => h.id === historyId);
+
+    if (index === -1) {
+      return res.status(404).json({ message: '未找到历史数据' });
+    }
+
+    if (!canModify(req.scope, history[index], username)) {
+      return res.status(403).json({ message: '无权删除此历史数据' });
+    }
+
+    const [removed] = history.splice(index, 1);
+
+    // 保存到文件数据库
+    try {
+      await saveScopeHistory(req.scope);
+      console.log(`✅ 历史数据删除已保存到数据库: ${username}`);
+    } catch (error) {
+      console.error('❌ 保存历史数据删除失败:', error.message);
+    }
+
+    await moveToTrash(req, 'history', { history: removed }, { scope: getScopeKey(req.scope) });
+    await audit(req, 'history.delete', { target: historyId, before: getHistoryView(removed) });
+
+    res.json({ message: '历史数据删除成功，可在回收站恢复' });
+  } catch (error) {
+    console.error('删除历史数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取历史数据的版本列表（新版本在前，不含记录内容）
+app.get('/history/:id/versions', verifyToken, requirePermission('records.read'), resolveScope, loadHistory, (req, res) => {
+  try {
+    const item = req.historyItem;
+    const current = getCurrentHistoryVersion(item);
+    const versions = [...(item.versions || []), current].reverse().map(v => ({
+      version: v.version,
+      name: v.name,
+      recordCount: v.records.length,
+      volume: sumVolume(v.records),
+      updatedAt: v.updatedAt,
+      updatedBy: v.updatedBy,
+      restoredFrom: v.restoredFrom || null,
+      current: v.version === current.version
+    }));
+    res.json(versions);
+  } catch (error) {
+    console.error('获取历史版本错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取历史数据某个版本的完整内容
+app.get('/history/:id/versions/:version', verifyToken, requirePermission('records.read'), resolveScope, loadHistory, (req, res) => {
+  try {
+    const version = getHistoryVersion(req.historyItem, Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({ message: '未找到该版本' });
+    }
+    res.json(version);
+  } catch (error) {
+    console.error('获取历史版本错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 比较历史数据的两个版本，默认比较当前版本与上一版本
+app.get('/history/:id/diff', verifyToken, requirePermission('records.read'), resolveScope, loadHistory, (req, res) => {
+  try {
+    const item = req.historyItem;
+    const to = req.query.to !== undefined ? Number(req.query.to) : (item.version || 1);
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+
+    const fromVersion = getHistoryVersion(item, from);
+    const toVersion = getHistoryVersion(item, to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ message: '未找到要比较的版本' });
+    }
+
+    res.json({
+      from: { version: fromVersion.version, name: fromVersion.name, updatedAt: fromVersion.updatedAt, updatedBy: fromVersion.updatedBy },
+      to: { version: toVersion.version, name: toVersion.name, updatedAt: toVersion.updatedAt, updatedBy: toVersion.updatedBy },
+      ...diffRecords(fromVersion.records, toVersion.records)
+    });
+  } catch (error) {
+    console.error('比较历史版本错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 恢复历史数据的旧版本（恢复后作为新版本保存，当前内容保留为旧版本）
+app.post('/history/:id/versions/:version/restore', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadHistory, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const item = req.historyItem;
+
+    if (!canModify(req.scope, item, username)) {
+      return res.status(403).json({ message: '无权修改此历史数据' });
+    }
+
+    const target = getHistoryVersion(item, Number(req.params.version));
+    if (!target) {
+      return res.status(404).json({ message: '未找到该版本' });
+    }
+    if (target.version === (item.version || 1)) {
+      return res.status(400).json({ message: '该版本已是当前版本' });
+    }
+
+    const history = req.scope.history;
+    history[req.historyIndex] = createHistoryVersion(item, {
+      name: target.name,
+      records: target.records,
+      restoredFrom: target.version
+    }, username);
+
+    // 保存到文件数据库
+    try {
+      await saveScopeHistory(req.scope);
+      console.log(`✅ 历史版本恢复已保存到数据库: ${username}`);
+    } catch (error) {
+      console.error('❌ 保存历史版本恢复失败:', error.message);
+    }
+
+    await audit(req, 'history.restore', {
+      target: item.id,
+      before: getHistoryView(item),
+      after: getHistoryView(history[req.historyIndex])
+    });
+
+    res.json({ message: `已恢复到第${target.version}版`, historyEntry: getHistoryView(history[req.historyIndex]) });
+  } catch (error) {
+    console.error('恢复历史版本错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取当前数据范围的回收站（新删除的在前）
+app.get('/trash', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
+  try {
+    const key = getScopeKey(req.scope);
+    const items = trash.filter(t => t.scope === key).reverse().map(getTrashSummary);
+    res.json({ items, retentionDays: systemSettings.trashRetentionDays });
+  } catch (error) {
+    console.error('获取回收站错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 从回收站恢复：项目编辑者只能恢复自己删除的数据
+app.post('/trash/:id/restore', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const item = trash.find(t => t.id === req.params.id && t.scope === getScopeKey(req.scope));
+    if (!item) {
+      return res.status(404).json({ message: '回收站中没有该数据' });
+    }
+    if (req.scope.project && req.scope.role !== 'owner' && item.deletedBy !== username) {
+      return res.status(403).json({ message: '只能恢复自己删除的数据' });
+    }
+
+    const { message, status, error } = await restoreTrashItem(item);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    await audit(req, 'trash.restore', { target: item.id, after: getTrashSummary(item) });
+
+    res.json({ message });
+  } catch (error) {
+    console.error('恢复回收站数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 校验部位层级节点名称（名称中不能包含路径分隔符，路径作为记录部位时不能包含逗号）
+function getLocationNameError(name) {
+  if (!name || typeof name !== 'string' || !name.trim() || name.length > 30) return '名称不能为空且不超过30个字符';
+  if (/[<>\"'&,]/.test(name) || name.includes(LOCATION_PATH_SEPARATOR)) return `名称不能包含特殊字符、逗号或“${LOCATION_PATH_SEPARATOR}”`;
+  return null;
+}
+
+// 获取当前数据范围的部位层级树及各级汇总体积（数据隔离）
+app.get('/locations', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
+  try {
+    res.json({
+      levels: LOCATION_LEVELS,
+      ...buildLocationTree(getScopeLocations(req.scope), req.scope.records)
+    });
+  } catch (error) {
+    console.error('获取部位层级错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 添加部位层级节点（parentId 为空时添加单体/楼栋）
+app.post('/locations', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, async (req, res) => {
+  try {
+    const { name, parentId = null } = req.body;
+    const nameError = getLocationNameError(name);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
+    }
+
+    const locations = getScopeLocations(req.scope);
+    if (locations.length >= MAX_LOCATIONS) {
+      return res.status(400).json({ message: '部位层级节点数量已达上限' });
+    }
+
+    let depth = 0;
+    if (parentId !== null) {
+      const parent = locations.find(n => n.id === parentId);
+      if (!parent) {
+        return res.status(404).json({ message: '上级节点不存在' });
+      }
+      depth = getLocationPaths(locations).get(parent.id).split(LOCATION_PATH_SEPARATOR).length;
+      if (depth >= LOCATION_LEVELS.length) {
+        return res.status(400).json({ message: `${LOCATION_LEVELS[LOCATION_LEVELS.length - 1].label}下不能再添加节点` });
+      }
+    }
+
+    const sanitizedName = sanitizeString(name);
+    if (locations.some(n => n.parentId === parentId && n.name === sanitizedName)) {
+      return res.status(400).json({ message: '同一上级下已有同名节点' });
     }
-    
-    const hashedPassword = hashPassword(password);
-    const user = { 
-      username: sanitizedUsername, 
-      password: hashedPassword,
-      createdAt: new Date().toISOString()
+
+    const node = {
+      id: crypto.randomUUID(),
+      name: sanitizedName,
+      parentId,
+      createdAt: new Date().toISOString(),
+      createdBy: req.user.username
     };
-    
-    users.push(user);
-    
-    // 为新用户初始化数据存储
-    userRecords[sanitizedUsername] = [];
-    userHistory[sanitizedUsername] = [];
-    
+    locations.push(node);
+
     // 保存到文件数据库
     try {
-      await db.saveUsers(users);
-      await db.saveUserRecords(userRecords);
-      await db.saveUserHistory(userHistory);
-      console.log(`✅ 新用户注册并保存到数据库: ${sanitizedUsername}`);
+      await saveScopeLocations(req.scope);
+      console.log(`✅ 部位层级已保存到数据库: ${req.scope.name}`);
     } catch (error) {
-      console.error('❌ 保存用户数据失败:', error.message);
-      // 即使保存失败，注册仍然成功（数据在内存中）
+      console.error('❌ 保存部位层级失败:', error.message);
     }
-    
-    res.status(201).json({ message: '注册成功' });
+
+    await audit(req, 'location.create', { target: node.id, after: node });
+
+    res.status(201).json({
+      message: `${LOCATION_LEVELS[depth].label}“${sanitizedName}”添加成功`,
+      location: { ...node, level: LOCATION_LEVELS[depth].level, path: getLocationPaths(locations).get(node.id) }
+    });
   } catch (error) {
-    console.error('注册错误:', error);
+    console.error('添加部位层级错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 用户登录
-app.post('/login', authLimiter, (req, res) => {
+// 中间件：加载路由参数中的部位层级节点，修改或删除节点需要是个人空间或项目所有者
+function loadLocation(req, res, next) {
+  if (req.scope.role !== 'owner') {
+    return res.status(403).json({ message: '只有项目所有者可以修改或删除部位层级' });
+  }
+  const locations = getScopeLocations(req.scope);
+  const node = locations.find(n => n.id === req.params.id);
+  if (!node) {
+    return res.status(404).json({ message: '部位层级节点不存在' });
+  }
+  req.location = node;
+  next();
+}
+
+// 重命名部位层级节点，关联记录（含下级节点的记录）的部位名称同步更新
+app.put('/locations/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadLocation, async (req, res) => {
   try {
-    const { username, password } = req.body;
-    
-    if (!validateUsername(username) || !validatePassword(password)) {
-      return res.status(400).json({ message: '用户名或密码格式不正确' });
+    const { name } = req.body;
+    const nameError = getLocationNameError(name);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
     }
-    
-    const sanitizedUsername = sanitizeString(username);
-    const hashedPassword = hashPassword(password);
-    
-    const user = users.find(u => u.username === sanitizedUsername && u.password === hashedPassword);
-    if (!user) {
-      return res.status(401).json({ message: '用户名或密码错误' });
+
+    const node = req.location;
+    const locations = getScopeLocations(req.scope);
+    const sanitizedName = sanitizeString(name);
+    if (locations.some(n => n !== node && n.parentId === node.parentId && n.name === sanitizedName)) {
+      return res.status(400).json({ message: '同一上级下已有同名节点' });
     }
-    
-    const token = jwt.sign({ username: user.username }, JWT_SECRET, { expiresIn: '24h' });
-    console.log(`用户登录: ${sanitizedUsername}`);
-    res.json({ message: '登录成功', token });
+
+    const previousName = node.name;
+    const now = new Date().toISOString();
+    node.name = sanitizedName;
+    node.updatedAt = now;
+
+    // 更新下级节点关联记录的部位，记录修改人及修改前后的部位
+    const subtree = new Set(getLocationSubtreeIds(locations, node.id));
+    const paths = getLocationPaths(locations);
+    const updatedRecords = [];
+    for (const record of req.scope.records) {
+      const part = paths.get(record.locationId);
+      if (subtree.has(record.locationId) && record.part !== part) {
+        updatedRecords.push({ id: record.id, before: record.part, after: part });
+        record.part = part;
+        record.version += 1;
+        record.updatedAt = now;
+        record.updatedBy = req.user.username;
+      }
+    }
+    const updatedCount = updatedRecords.length;
+
+    // 保存到文件数据库
+    try {
+      await saveScopeLocations(req.scope);
+      if (updatedCount > 0) {
+        await saveScopeRecords(req.scope);
+      }
+      console.log(`✅ 部位层级重命名已保存到数据库: ${req.scope.name}`);
+    } catch (error) {
+      console.error('❌ 保存部位层级重命名失败:', error.message);
+    }
+
+    await audit(req, 'location.update', {
+      target: node.id,
+      before: { name: previousName, records: updatedRecords.map(r => ({ id: r.id, part: r.before })) },
+      after: { name: sanitizedName, records: updatedRecords.map(r => ({ id: r.id, part: r.after })) }
+    });
+
+    res.json({ message: `重命名成功，已更新 ${updatedCount} 条记录的部位`, updatedCount });
   } catch (error) {
-    console.error('登录错误:', error);
+    console.error('重命名部位层级错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 获取用户记录（数据隔离）
-app.get('/records', verifyToken, (req, res) => {
+// 删除部位层级节点（有下级节点或关联记录时不能删除）
+app.delete('/locations/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadLocation, async (req, res) => {
   try {
-    const username = req.user.username;
-    const records = getUserRecords(username);
-    res.json(records);
+    const node = req.location;
+    const locations = getScopeLocations(req.scope);
+    if (locations.some(n => n.parentId === node.id)) {
+      return res.status(400).json({ message: '请先删除下级节点' });
+    }
+    if (req.scope.records.some(r => r.locationId === node.id)) {
+      return res.status(400).json({ message: '该节点下还有记录，无法删除' });
+    }
+
+    locations.splice(locations.indexOf(node), 1);
+
+    // 保存到文件数据库
+    try {
+      await saveScopeLocations(req.scope);
+      console.log(`✅ 部位层级删除已保存到数据库: ${req.scope.name}`);
+    } catch (error) {
+      console.error('❌ 保存部位层级删除失败:', error.message);
+    }
+
+    await audit(req, 'location.delete', { target: node.id, before: node });
+
+    res.json({ message: '删除成功' });
   } catch (error) {
-    console.error('获取记录错误:', error);
+    console.error('删除部位层级错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 添加记录（数据隔离）
-app.post('/records', verifyToken, async (req, res) => {
+// 本地日期（YYYY-MM-DD），用作默认的实际浇筑日期
+function getLocalDateString(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// 解析浇筑计划查询参数 dateFrom、dateTo（YYYY-MM-DD）及 status，返回 { options } 或 { error }
+function parsePourQuery(query) {
+  const { dateFrom, dateTo, status } = query;
+  if ((dateFrom !== undefined && !isValidDateString(dateFrom)) || (dateTo !== undefined && !isValidDateString(dateTo))) {
+    return { error: '日期格式不正确（YYYY-MM-DD）' };
+  }
+  if (status !== undefined && !Object.prototype.hasOwnProperty.call(POUR_STATUSES, status)) {
+    return { error: '浇筑批次状态不正确' };
+  }
+  return { options: { dateFrom: dateFrom || null, dateTo: dateTo || null, status: status || null } };
+}
+
+// 获取当前数据范围的浇筑批次（含计算体积、到货方量及损耗率，按浇筑日期排序；?status= 按状态筛选）
+app.get('/pours', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
   try {
-    const username = req.user.username;
-    const records = getUserRecords(username);
-    
-    const r = req.body;
-    
-    // 数据验证
-    if (!validateRecord(r)) {
-      return res.status(400).json({ message: '数据格式不正确' });
+    const { options, error } = parsePourQuery({ status: req.query.status });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
-    
-    // 数据验证
-    if (r.height <= 0 || r.thick <= 0 || r.length <= 0 || r.count <= 0) {
-      return res.status(400).json({ message: '所有数值必须大于0' });
+    const days = buildPourSchedule(getScopePours(req.scope), req.scope.records, options);
+    res.json({ statuses: POUR_STATUSES, pours: days.flatMap(day => day.pours) });
+  } catch (error) {
+    console.error('获取浇筑批次错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 按日期汇总的浇筑计划（?dateFrom=&dateTo=&status=）
+app.get('/pours/schedule', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
+  try {
+    const { options, error } = parsePourQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
-    
-    // 限制记录数量防止内存泄漏
-    if (records.length >= 1000) {
-      return res.status(400).json({ message: '记录数量已达上限' });
+    const days = buildPourSchedule(getScopePours(req.scope), req.scope.records, options);
+    const pours = days.flatMap(day => day.pours);
+    const ticketed = pours.filter(p => p.tickets.length > 0);
+    const deliveredVolume = sumVolume(pours, 'deliveredVolume');
+    res.json({
+      days,
+      total: {
+        pourCount: pours.length,
+        computedVolume: sumVolume(pours, 'computedVolume'),
+        deliveredVolume,
+        wasteRate: getWasteRate(deliveredVolume, sumVolume(ticketed, 'computedVolume'), ticketed.length > 0)
+      }
+    });
+  } catch (error) {
+    console.error('获取浇筑计划错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 中间件：加载路由参数中的浇筑批次（需在 resolveScope 之后使用）
+function loadPour(req, res, next) {
+  const pour = getScopePours(req.scope).find(p => p.id === req.params.id);
+  if (!pour) {
+    return res.status(404).json({ message: '浇筑批次不存在' });
+  }
+  req.pour = pour;
+  next();
+}
+
+// 获取单个浇筑批次及其关联的记录
+app.get('/pours/:id', verifyToken, requirePermission('records.read'), resolveScope, loadPour, (req, res) => {
+  try {
+    const recordsById = new Map(req.scope.records.map(r => [r.id, r]));
+    res.json({
+      ...summarizePour(req.pour, recordsById),
+      records: req.pour.recordIds.map(id => recordsById.get(id)).filter(Boolean)
+    });
+  } catch (error) {
+    console.error('获取浇筑批次错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 添加浇筑批次（状态为计划），每条记录只能属于一个批次
+app.post('/pours', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, async (req, res) => {
+  try {
+    const pours = getScopePours(req.scope);
+    if (pours.length >= MAX_POURS) {
+      return res.status(400).json({ message: '浇筑批次数量已达上限' });
     }
-    
-    const sanitizedRecord = {
-      part: sanitizeString(r.part),
-      type: sanitizeString(r.type),
-      number: sanitizeString(r.number),
-      height: Number(r.height),
-      thick: Number(r.thick),
-      length: Number(r.length),
-      count: Number(r.count),
-      volume: +(r.height * r.thick * r.length * r.count).toFixed(3),
-      createdAt: new Date().toISOString(),
-      createdBy: username,
-      id: Date.now() + Math.random()
+
+    const body = req.body;
+    const pourError = getPourError(body, req.scope);
+    if (pourError) {
+      return res.status(400).json({ message: pourError });
+    }
+
+    const now = new Date().toISOString();
+    const pour = {
+      id: crypto.randomUUID(),
+      name: sanitizeString(body.name),
+      status: 'planned',
+      plannedDate: body.plannedDate,
+      actualDate: null,
+      recordIds: [...body.recordIds],
+      supplier: body.supplier ? sanitizeString(body.supplier) : '',
+      tickets: normalizeTickets(body.tickets || []),
+      note: body.note ? sanitizeString(body.note) : '',
+      createdAt: now,
+      createdBy: req.user.username,
+      updatedAt: now,
+      updatedBy: req.user.username
     };
-    
-    records.push(sanitizedRecord);
-    
+    pours.push(pour);
+
     // 保存到文件数据库
     try {
-      await db.saveUserRecords(userRecords);
-      console.log(`✅ 记录已保存到数据库: ${username}`);
+      await saveScopePours(req.scope);
+      console.log(`✅ 浇筑批次已保存到数据库: ${req.scope.name}`);
     } catch (error) {
-      console.error('❌ 保存记录失败:', error.message);
+      console.error('❌ 保存浇筑批次失败:', error.message);
     }
-    
-    res.status(201).json({ message: '添加成功' });
+
+    await audit(req, 'pour.create', { target: pour.id, after: pour });
+
+    res.status(201).json({
+      message: `浇筑批次“${pour.name}”添加成功`,
+      pour: summarizePour(pour, new Map(req.scope.records.map(r => [r.id, r])))
+    });
   } catch (error) {
-    console.error('添加记录错误:', error);
+    console.error('添加浇筑批次错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 删除记录（数据隔离）
-app.delete('/records/:index', verifyToken, async (req, res) => {
+// 修改浇筑批次（名称、记录、日期、供应商、小票、备注），已验收的批次不能修改；实际日期只能在浇筑后修改
+app.put('/pours/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadPour, async (req, res) => {
   try {
-    const username = req.user.username;
-    const records = getUserRecords(username);
-    
-    const i = Number(req.params.index);
-    if (isNaN(i) || i < 0 || i >= records.length) {
-      return res.status(400).json({ message: '索引错误' });
+    const pour = req.pour;
+    if (!canModify(req.scope, pour, req.user.username)) {
+      return res.status(403).json({ message: '无权修改此浇筑批次' });
     }
-    
-    // 验证记录是否属于当前用户
-    const record = records[i];
-    if (record.createdBy !== username) {
-      return res.status(403).json({ message: '无权删除此记录' });
+    if (pour.status === 'verified') {
+      return res.status(400).json({ message: '已验收的浇筑批次不能修改' });
     }
-    
-    records.splice(i, 1);
-    
+
+    const { name, recordIds, plannedDate, actualDate, supplier, tickets, note } = req.body;
+    if ([name, recordIds, plannedDate, actualDate, supplier, tickets, note].every(v => v === undefined)) {
+      return res.status(400).json({ message: '参数错误' });
+    }
+    if (actualDate !== undefined && pour.status !== 'poured') {
+      return res.status(400).json({ message: '浇筑后才能填写实际浇筑日期' });
+    }
+    if (actualDate === null) {
+      return res.status(400).json({ message: '实际浇筑日期格式不正确（YYYY-MM-DD）' });
+    }
+    const pourError = getPourError(req.body, req.scope, pour);
+    if (pourError) {
+      return res.status(400).json({ message: pourError });
+    }
+
+    const before = { ...pour, recordIds: [...pour.recordIds], tickets: [...pour.tickets] };
+    if (name !== undefined) pour.name = sanitizeString(name);
+    if (recordIds !== undefined) pour.recordIds = [...recordIds];
+    if (plannedDate !== undefined) pour.plannedDate = plannedDate;
+    if (actualDate !== undefined) pour.actualDate = actualDate;
+    if (supplier !== undefined) pour.supplier = sanitizeString(supplier);
+    if (tickets !== undefined) pour.tickets = normalizeTickets(tickets);
+    if (note !== undefined) pour.note = sanitizeString(note);
+    pour.updatedAt = new Date().toISOString();
+    pour.updatedBy = req.user.username;
+
     // 保存到文件数据库
     try {
-      await db.saveUserRecords(userRecords);
-      console.log(`✅ 记录删除已保存到数据库: ${username}`);
+      await saveScopePours(req.scope);
+      console.log(`✅ 浇筑批次修改已保存到数据库: ${req.scope.name}`);
     } catch (error) {
-      console.error('❌ 保存删除操作失败:', error.message);
+      console.error('❌ 保存浇筑批次修改失败:', error.message);
     }
-    
-    res.json({ message: '删除成功' });
+
+    await audit(req, 'pour.update', { target: pour.id, before, after: pour });
+
+    res.json({ message: '修改成功', pour: summarizePour(pour, new Map(req.scope.records.map(r => [r.id, r]))) });
   } catch (error) {
-    console.error('删除记录错误:', error);
+    console.error('修改浇筑批次错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 更新记录（数据隔离）
-app.put('/records/:index', verifyToken, async (req, res) => {
+// 变更浇筑批次状态：浇筑时记录实际日期（默认当天），退回计划时清除实际日期；
+// 项目中只有所有者可以验收
+app.post('/pours/:id/status', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadPour, async (req, res) => {
   try {
-    const username = req.user.username;
-    const records = getUserRecords(username);
-    
-    const i = Number(req.params.index);
-    if (isNaN(i) || i < 0 || i >= records.length) {
-      return res.status(400).json({ message: '索引错误' });
+    const pour = req.pour;
+    const { status, actualDate } = req.body;
+    if (!Object.prototype.hasOwnProperty.call(POUR_STATUSES, status)) {
+      return res.status(400).json({ message: '浇筑批次状态不正确' });
     }
-    
-    // 验证记录是否属于当前用户
-    const record = records[i];
-    if (record.createdBy !== username) {
-      return res.status(403).json({ message: '无权修改此记录' });
+    if (!POUR_STATUSES[pour.status].next.includes(status)) {
+      return res.status(400).json({ message: `${POUR_STATUSES[pour.status].label}的批次不能变更为${POUR_STATUSES[status].label}` });
     }
-    
-    const r = req.body;
-    
-    // 数据验证
-    if (!validateRecord(r)) {
-      return res.status(400).json({ message: '数据格式不正确' });
+    if (status === 'verified' && req.scope.project && req.scope.role !== 'owner') {
+      return res.status(403).json({ message: '只有项目所有者可以验收浇筑批次' });
     }
-    
-    // 数据验证
-    if (r.height <= 0 || r.thick <= 0 || r.length <= 0 || r.count <= 0) {
-      return res.status(400).json({ message: '所有数值必须大于0' });
-    }
-    
-    // 更新记录
-    records[i] = {
-      ...record,
-      part: sanitizeString(r.part),
-      type: sanitizeString(r.type),
-      number: sanitizeString(r.number),
-      height: Number(r.height),
-      thick: Number(r.thick),
-      length: Number(r.length),
-      count: Number(r.count),
-      volume: +(r.height * r.thick * r.length * r.count).toFixed(3),
-      updatedAt: new Date().toISOString()
-    };
-    
+    if (status !== 'verified' && !canModify(req.scope, pour, req.user.username)) {
+      return res.status(403).json({ message: '无权修改此浇筑批次' });
+    }
+    if (status === 'poured' && actualDate !== undefined && !isValidDateString(actualDate)) {
+      return res.status(400).json({ message: '实际浇筑日期格式不正确（YYYY-MM-DD）' });
+    }
+
+    const before = { status: pour.status, actualDate: pour.actualDate };
+    const now = new Date().toISOString();
+    pour.status = status;
+    if (status === 'poured') {
+      pour.actualDate = actualDate || pour.actualDate || getLocalDateString();
+    } else if (status === 'planned') {
+      pour.actualDate = null;
+    } else {
+      pour.verifiedAt = now;
+      pour.verifiedBy = req.user.username;
+    }
+    pour.updatedAt = now;
+    pour.updatedBy = req.user.username;
+
     // 保存到文件数据库
     try {
-      await db.saveUserRecords(userRecords);
-      console.log(`✅ 记录更新已保存到数据库: ${username}`);
+      await saveScopePours(req.scope);
+      console.log(`✅ 浇筑批次状态已保存到数据库: ${req.scope.name}`);
     } catch (error) {
-      console.error('❌ 保存更新操作失败:', error.message);
+      console.error('❌ 保存浇筑批次状态失败:', error.message);
     }
-    
-    res.json({ message: '更新成功' });
+
+    await audit(req, 'pour.status', { target: pour.id, before, after: { status: pour.status, actualDate: pour.actualDate } });
+
+    res.json({
+      message: `浇筑批次已变更为${POUR_STATUSES[status].label}`,
+      pour: summarizePour(pour, new Map(req.scope.records.map(r => [r.id, r])))
+    });
   } catch (error) {
-    console.error('更新记录错误:', error);
+    console.error('变更浇筑批次状态错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 清空所有记录（数据隔离）
-app.delete('/records', verifyToken, async (req, res) => {
+// 删除浇筑批次（已验收的批次不能删除），关联的记录不受影响
+app.delete('/pours/:id', verifyToken, requirePermission('records.write'), resolveScope, requireEditor, loadPour, async (req, res) => {
   try {
-    const username = req.user.username;
-    const records = getUserRecords(username);
-    
-    // 清空用户的所有记录
-    records.length = 0;
-    
+    const pour = req.pour;
+    if (!canModify(req.scope, pour, req.user.username)) {
+      return res.status(403).json({ message: '无权删除此浇筑批次' });
+    }
+    if (pour.status === 'verified') {
+      return res.status(400).json({ message: '已验收的浇筑批次不能删除' });
+    }
+
+    const pours = getScopePours(req.scope);
+    pours.splice(pours.indexOf(pour), 1);
+
     // 保存到文件数据库
     try {
-      await db.saveUserRecords(userRecords);
-      console.log(`✅ 记录清空已保存到数据库: ${username}`);
+      await saveScopePours(req.scope);
+      console.log(`✅ 浇筑批次删除已保存到数据库: ${req.scope.name}`);
     } catch (error) {
-      console.error('❌ 保存清空操作失败:', error.message);
+      console.error('❌ 保存浇筑批次删除失败:', error.message);
     }
-    
-    res.json({ message: '所有记录已清空' });
+
+    await audit(req, 'pour.delete', { target: pour.id, before: pour });
+
+    res.json({ message: '删除成功' });
   } catch (error) {
-    console.error('清空记录错误:', error);
+    console.error('删除浇筑批次错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 导出 Excel（数据隔离）- 使用安全的 Excel 处理器
-app.get('/export', verifyToken, (req, res) => {
+// 获取当前数据范围使用的价格表（source 为 project 表示项目单独设置，system 为系统价格表）
+app.get('/prices', verifyToken, requirePermission('records.read'), resolveScope, (req, res) => {
   try {
-    const username = req.user.username;
-    const records = getUserRecords(username);
-    
-    if (records.length === 0) {
-      return res.status(400).send('无数据导出');
-    }
-    
-    const wsData = records.map((r, idx) => ({
-      序号: idx + 1,
-      部位: r.part,
-      构件: r.type,
-      编号: r.number,
-      高度: r.height,
-      厚度: r.thick,
-      长度: r.length,
-      数量: r.count,
-      体积: r.volume,
-      创建时间: r.createdAt ? new Date(r.createdAt).toLocaleString() : '',
-      创建人: r.createdBy || username
-    }));
+    res.json({
+      source: req.scope.project && req.scope.project.priceTable ? 'project' : 'system',
+      priceTable: getScopePriceTable(req.scope)
+    });
+  } catch (error) {
+    console.error('获取价格表错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
 
-    // 使用安全的 Excel 处理器
-    const excelData = {
-      '混凝土量': wsData
-    };
-    
-    const buf = secureExcel.generateExcelSafely(excelData);
-    const filename = secureExcel.generateSafeFilename(`混凝土量_${username}`);
-    const encodedFilename = encodeURIComponent(filename);
-    
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.send(buf);
+// 中间件：项目价格表只能由项目所有者修改，个人空间使用系统价格表
+function requireProjectOwner(req, res, next) {
+  if (!req.scope.project) {
+    return res.status(400).json({ message: '个人空间使用系统价格表，请联系管理员修改' });
+  }
+  if (req.scope.role !== 'owner') {
+    return res.status(403).json({ message: '只有项目所有者可以修改项目价格表' });
+  }
+  next();
+}
+
+// 设置项目价格表
+app.put('/prices', verifyToken, requirePermission('records.write'), resolveScope, requireProjectOwner, async (req, res) => {
+  try {
+    const { priceTable } = req.body;
+    if (!validatePriceTable(priceTable)) {
+      return res.status(400).json({ message: `价格表格式不正确（单价、泵送费及加价为0-${MAX_UNIT_PRICE}元/m³，单价需填写强度等级或构件类型且不能重复，加价项需填写名称）` });
+    }
+
+    const project = req.scope.project;
+    const before = project.priceTable || null;
+    project.priceTable = normalizePriceTable(priceTable);
+    project.updatedAt = new Date().toISOString();
+
+    // 保存到文件数据库
+    try {
+      await db.saveProject(project);
+      console.log(`✅ 项目价格表已保存到数据库: ${project.name}`);
+    } catch (error) {
+      console.error('❌ 保存项目价格表失败:', error.message);
+    }
+
+    await audit(req, 'price.update', { target: project.id, before, after: project.priceTable });
+
+    res.json({ message: '项目价格表已保存', source: 'project', priceTable: project.priceTable });
   } catch (error) {
-    console.error('导出错误:', error);
-    res.status(500).json({ message: '导出失败' });
+    console.error('设置项目价格表错误:', error);
+    res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 导出历史数据 Excel（数据隔离）- 使用安全的 Excel 处理器
-app.get('/export/history/:id', verifyToken, (req, res) => {
+// 删除项目价格表，恢复使用系统价格表
+app.delete('/prices', verifyToken, requirePermission('records.write'), resolveScope, requireProjectOwner, async (req, res) => {
   try {
-    const username = req.user.username;
-    const historyId = Number(req.params.id);
-    
-    if (isNaN(historyId)) {
-      return res.status(400).json({ message: '无效的历史ID' });
+    const project = req.scope.project;
+    if (!project.priceTable) {
+      return res.status(400).json({ message: '项目未单独设置价格表' });
     }
-    
-    const userHistory = getUserHistory(username);
-    const historyItem = userHistory.find(h => h.id === historyId);
-    
-    if (!historyItem) {
-      return res.status(404).json({ message: '未找到历史数据' });
+
+    const before = project.priceTable;
+    project.priceTable = null;
+    project.updatedAt = new Date().toISOString();
+
+    // 保存到文件数据库
+    try {
+      await db.saveProject(project);
+      console.log(`✅ 项目价格表删除已保存到数据库: ${project.name}`);
+    } catch (error) {
+      console.error('❌ 保存项目价格表删除失败:', error.message);
     }
-    
-    if (historyItem.records.length === 0) {
-      return res.status(400).send('无数据导出');
+
+    await audit(req, 'price.reset', { target: project.id, before });
+
+    res.json({ message: '已恢复使用系统价格表', source: 'system', priceTable: systemSettings.priceTable });
+  } catch (error) {
+    console.error('删除项目价格表错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 校验项目名称及地点
+function getProjectInfoError(name, site) {
+  if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) return '项目名称不能为空且不超过100个字符';
+  if (site !== undefined && (typeof site !== 'string' || site.length > 200)) return '项目地点不能超过200个字符';
+  if (/[<>\"'&]/.test(name) || (site && /[<>\"'&]/.test(site))) return '项目名称和地点不能包含特殊字符';
+  return null;
+}
+
+// 项目概要（附带当前用户角色）
+function summarizeProject(project, username) {
+  return {
+    id: project.id,
+    name: project.name,
+    site: project.site,
+    owner: project.owner,
+    role: getProjectRole(project, username),
+    members: project.members,
+    recordsCount: getProjectRecords(project.id).length,
+    historyCount: getProjectHistory(project.id).length,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt
+  };
+}
+
+// 中间件：加载路由参数中的项目并校验成员角色（需在 verifyToken 之后使用）
+function loadProject(minRole) {
+  return (req, res, next) => {
+    const project = projects.find(p => p.id === req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: '项目不存在' });
     }
-    
-    const wsData = historyItem.records.map((r, idx) => ({
-      序号: idx + 1,
-      部位: r.part,
-      构件: r.type,
-      编号: r.number,
-      高度: r.height,
-      厚度: r.thick,
-      长度: r.length,
-      数量: r.count,
-      体积: r.volume,
-      创建时间: r.createdAt ? new Date(r.createdAt).toLocaleString() : '',
-      创建人: r.createdBy || username
-    }));
 
-    // 使用安全的 Excel 处理器
-    const excelData = {
-      '混凝土量': wsData
-    };
-    
-    const buf = secureExcel.generateExcelSafely(excelData);
-    const filename = secureExcel.generateSafeFilename(`混凝土量_${username}_${historyItem.name}`);
-    const encodedFilename = encodeURIComponent(filename);
-    
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodedFilename}`);
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.send(buf);
+    const role = getProjectRole(project, req.user.username);
+    if (!role) {
+      return res.status(403).json({ message: '无权访问此项目' });
+    }
+    if (PROJECT_ROLES.indexOf(role) < PROJECT_ROLES.indexOf(minRole)) {
+      return res.status(403).json({ message: '没有足够的项目权限' });
+    }
+
+    req.project = project;
+    next();
+  };
+}
+
+// 保存单个项目
+async function saveProject(project, action) {
+  try {
+    await db.saveProject(project);
+    console.log(`✅ ${action}已保存到数据库`);
   } catch (error) {
-    console.error('导出历史数据错误:', error);
-    res.status(500).json({ message: '导出失败' });
+    console.error(`❌ 保存${action}失败:`, error.message);
   }
-});
+}
 
-// 获取用户统计信息（数据隔离）
-app.get('/stats', verifyToken, (req, res) => {
+// 获取当前用户参与的项目
+app.get('/projects', verifyToken, (req, res) => {
   try {
     const username = req.user.username;
-    const records = getUserRecords(username);
-    
-    const stats = {
-      totalRecords: records.length,
-      totalVolume: records.reduce((sum, r) => sum + r.volume, 0),
-      parts: [...new Set(records.map(r => r.part))],
-      types: [...new Set(records.map(r => r.type))],
-      lastUpdated: records.length > 0 ? Math.max(...records.map(r => new Date(r.createdAt).getTime())) : null
-    };
-    
-    res.json(stats);
+    const list = projects
+      .filter(p => getProjectRole(p, username))
+      .map(p => summarizeProject(p, username));
+    res.json(list);
   } catch (error) {
-    console.error('获取统计信息错误:', error);
+    console.error('获取项目列表错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 获取用户历史数据（数据隔离）
-app.get('/history', verifyToken, (req, res) => {
+// 创建项目
+app.post('/projects', verifyToken, async (req, res) => {
   try {
     const username = req.user.username;
-    const history = getUserHistory(username);
-    res.json(history);
+    const { name, site } = req.body;
+
+    const infoError = getProjectInfoError(name, site);
+    if (infoError) {
+      return res.status(400).json({ message: infoError });
+    }
+
+    if (projects.filter(p => p.owner === username).length >= 50) {
+      return res.status(400).json({ message: '项目数量已达上限' });
+    }
+
+    const now = new Date().toISOString();
+    const project = {
+      id: crypto.randomUUID(),
+      name: sanitizeString(name),
+      site: sanitizeString(site || ''),
+      owner: username,
+      members: [{ username, role: 'owner' }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    projects.push(project);
+    await saveProject(project, `项目创建: ${project.name}`);
+
+    res.status(201).json({ message: '项目创建成功', project: summarizeProject(project, username) });
   } catch (error) {
-    console.error('获取历史数据错误:', error);
+    console.error('创建项目错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 保存数据（数据隔离）
-app.post('/save', verifyToken, async (req, res) => {
+// 获取项目详情
+app.get('/projects/:id', verifyToken, loadProject('viewer'), (req, res) => {
+  res.json(summarizeProject(req.project, req.user.username));
+});
+
+// 更新项目信息（仅所有者）
+app.put('/projects/:id', verifyToken, loadProject('owner'), async (req, res) => {
   try {
-    const username = req.user.username;
-    const { name, records } = req.body;
+    const { name, site } = req.body;
 
-    if (!name || typeof name !== 'string' || name.length > 100) {
-      return res.status(400).json({ message: '名称格式不正确' });
+    const infoError = getProjectInfoError(name, site);
+    if (infoError) {
+      return res.status(400).json({ message: infoError });
     }
 
-    if (!Array.isArray(records) || records.length === 0 || records.length > 1000) {
-      return res.status(400).json({ message: '记录格式不正确或数量过多' });
-    }
+    req.project.name = sanitizeString(name);
+    req.project.site = sanitizeString(site || '');
+    req.project.updatedAt = new Date().toISOString();
+    await saveProject(req.project, `项目更新: ${req.project.name}`);
 
-    // 验证所有记录
-    for (const record of records) {
-      if (!validateRecord(record)) {
-        return res.status(400).json({ message: '记录数据格式不正确' });
-      }
-    }
+    res.json({ message: '项目更新成功', project: summarizeProject(req.project, req.user.username) });
+  } catch (error) {
+    console.error('更新项目错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
 
-    const sanitizedName = sanitizeString(name);
-    
-    // 限制历史数据数量
-    const userHistory = getUserHistory(username);
-    if (userHistory.length >= 100) {
-      return res.status(400).json({ message: '历史数据数量已达上限' });
-    }
+// 删除项目及其记录、历史（仅所有者），项目数据移入回收站
+app.delete('/projects/:id', verifyToken, loadProject('owner'), async (req, res) => {
+  try {
+    const project = req.project;
+    const projectId = project.id;
+    const scopeKey = `project:${projectId}`;
 
-    const historyEntry = {
-      id: Date.now(),
-      name: sanitizedName,
-      records: records.map(r => ({
-        ...r,
-        part: sanitizeString(r.part),
-        type: sanitizeString(r.type),
-        number: sanitizeString(r.number),
-        height: Number(r.height),
-        thick: Number(r.thick),
-        length: Number(r.length),
-        count: Number(r.count),
-        volume: +(r.height * r.thick * r.length * r.count).toFixed(3)
-      })),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+    // 项目的回收站数据随项目一起移入
+    const projectTrash = trash.filter(t => t.scope === scopeKey);
+    const trashData = {
+      project: { ...project, members: project.members.map(m => ({ ...m })) },
+      records: getProjectRecords(projectId),
+      history: getProjectHistory(projectId),
+      trash: projectTrash
     };
+    await removeTrashItems(projectTrash.map(t => t.id));
 
-    userHistory.push(historyEntry);
+    projects = projects.filter(p => p.id !== projectId);
+    delete projectRecords[projectId];
+    delete projectHistory[projectId];
 
-    // 保存到文件数据库
     try {
-      await db.saveUserHistory(userHistory);
-      console.log(`✅ 历史数据已保存到数据库: ${username}`);
+      await db.deleteProject(projectId);
+      console.log(`✅ 项目删除已保存到数据库: ${project.name}`);
     } catch (error) {
-      console.error('❌ 保存历史数据失败:', error.message);
+      console.error('❌ 保存项目删除失败:', error.message);
     }
 
-    res.status(201).json({ message: '数据保存成功', historyEntry });
+    await moveToTrash(req, 'project', trashData, { scope: scopeKey });
+    await audit(req, 'project.delete', {
+      target: projectId,
+      before: {
+        name: project.name,
+        members: project.members,
+        recordCount: trashData.records.length,
+        historyCount: trashData.history.length
+      }
+    });
+
+    res.json({ message: '项目删除成功，可在回收站恢复' });
   } catch (error) {
-    console.error('保存数据错误:', error);
+    console.error('删除项目错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 更新历史数据（数据隔离）
-app.put('/history/:id', verifyToken, async (req, res) => {
+// 添加或修改项目成员（仅所有者）
+app.put('/projects/:id/members/:username', verifyToken, loadProject('owner'), async (req, res) => {
   try {
-    const username = req.user.username;
-    const historyId = Number(req.params.id);
-    const { name, records } = req.body;
-
-    if (isNaN(historyId)) {
-      return res.status(400).json({ message: '无效的历史ID' });
-    }
-
-    if (!name || typeof name !== 'string' || name.length > 100) {
-      return res.status(400).json({ message: '名称格式不正确' });
-    }
+    const memberName = sanitizeString(req.params.username);
+    const { role } = req.body;
 
-    if (!Array.isArray(records) || records.length === 0 || records.length > 1000) {
-      return res.status(400).json({ message: '记录格式不正确或数量过多' });
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ message: '成员角色不正确（viewer、editor 或 owner）' });
     }
 
-    // 验证所有记录
-    for (const record of records) {
-      if (!validateRecord(record)) {
-        return res.status(400).json({ message: '记录数据格式不正确' });
-      }
+    if (!users.find(u => u.username === memberName)) {
+      return res.status(404).json({ message: '用户不存在' });
     }
 
-    const sanitizedName = sanitizeString(name);
-    const userHistory = getUserHistory(username);
-    const index = userHistory.findIndex(h => h.id === historyId);
+    const project = req.project;
+    const member = project.members.find(m => m.username === memberName);
 
-    if (index === -1) {
-      return res.status(404).json({ message: '未找到历史数据' });
+    // 至少保留一个所有者
+    if (member && member.role === 'owner' && role !== 'owner' &&
+        project.members.filter(m => m.role === 'owner').length === 1) {
+      return res.status(400).json({ message: '项目至少需要一个所有者' });
     }
 
-    userHistory[index] = {
-      ...userHistory[index],
-      name: sanitizedName,
-      records: records.map(r => ({
-        ...r,
-        part: sanitizeString(r.part),
-        type: sanitizeString(r.type),
-        number: sanitizeString(r.number),
-        height: Number(r.height),
-        thick: Number(r.thick),
-        length: Number(r.length),
-        count: Number(r.count),
-        volume: +(r.height * r.thick * r.length * r.count).toFixed(3)
-      })),
-      updatedAt: new Date().toISOString()
-    };
-
-    // 保存到文件数据库
-    try {
-      await db.saveUserHistory(userHistory);
-      console.log(`✅ 历史数据更新已保存到数据库: ${username}`);
-    } catch (error) {
-      console.error('❌ 保存历史数据更新失败:', error.message);
+    if (member) {
+      member.role = role;
+    } else {
+      if (project.members.length >= 100) {
+        return res.status(400).json({ message: '项目成员数量已达上限' });
+      }
+      project.members.push({ username: memberName, role });
     }
+    project.updatedAt = new Date().toISOString();
+    await saveProject(project, `项目成员: ${project.name}/${memberName}`);
 
-    res.json({ message: '历史数据更新成功', historyEntry: userHistory[index] });
+    res.json({ message: '项目成员已更新', project: summarizeProject(project, req.user.username) });
   } catch (error) {
-    console.error('更新历史数据错误:', error);
+    console.error('更新项目成员错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 删除历史数据（数据隔离）
-app.delete('/history/:id', verifyToken, async (req, res) => {
+// 移除项目成员（仅所有者）
+app.delete('/projects/:id/members/:username', verifyToken, loadProject('owner'), async (req, res) => {
   try {
-    const username = req.user.username;
-    const historyId = Number(req.params.id);
+    const memberName = sanitizeString(req.params.username);
+    const project = req.project;
+    const member = project.members.find(m => m.username === memberName);
 
-    if (isNaN(historyId)) {
-      return res.status(400).json({ message: '无效的历史ID' });
+    if (!member) {
+      return res.status(404).json({ message: '成员不存在' });
     }
 
-    const userHistory = getUserHistory(username);
-    const initialLength = userHistory.length;
-    const filteredHistory = userHistory.filter(h => h.id !== historyId);
-    userHistory.length = 0;
-    userHistory.push(...filteredHistory);
-
-    if (userHistory.length === initialLength) {
-      return res.status(404).json({ message: '未找到历史数据' });
+    if (member.role === 'owner' && project.members.filter(m => m.role === 'owner').length === 1) {
+      return res.status(400).json({ message: '项目至少需要一个所有者' });
     }
 
-    // 保存到文件数据库
-    try {
-      await db.saveUserHistory(userHistory);
-      console.log(`✅ 历史数据删除已保存到数据库: ${username}`);
-    } catch (error) {
-      console.error('❌ 保存历史数据删除失败:', error.message);
-    }
+    project.members = project.members.filter(m => m.username !== memberName);
+    project.updatedAt = new Date().toISOString();
+    await saveProject(project, `项目成员移除: ${project.name}/${memberName}`);
 
-    res.json({ message: '历史数据删除成功' });
+    res.json({ message: '项目成员已移除', project: summarizeProject(project, req.user.username) });
   } catch (error) {
-    console.error('删除历史数据错误:', error);
+    console.error('移除项目成员错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
@@ -740,7 +4246,7 @@ app.use((err, req, res, next) => {
 });
 
 // 管理员登录
-app.post('/admin/login', authLimiter, (req, res) => {
+app.post('/admin/login', authLimiter, async (req, res) => {
   try {
     const { username, password } = req.body;
     
@@ -748,22 +4254,30 @@ app.post('/admin/login', authLimiter, (req, res) => {
       return res.status(400).json({ message: '管理员账号或密码格式不正确' });
     }
     
-    // 检查管理员账户是否已加载
-    if (!adminAccount) {
-      console.error('管理员账户未加载');
-      return res.status(500).json({ message: '管理员账户未初始化' });
-    }
-    
     const sanitizedUsername = sanitizeString(username);
-    const hashedPassword = hashPassword(password);
     
-    if (sanitizedUsername !== adminAccount.username || hashedPassword !== adminAccount.password) {
+    const user = users.find(u => u.username === sanitizedUsername);
+    if (!user || !(await passwordHasher.verify(password, user))) {
       return res.status(401).json({ message: '管理员账号或密码错误' });
     }
     
-    const token = jwt.sign({ username: adminAccount.username, role: 'admin' }, JWT_SECRET, { expiresIn: '24h' });
+    if (!hasPermission(user, 'admin.access')) {
+      return res.status(403).json({ message: '该账号没有管理员权限' });
+    }
+    
+    if (await upgradePasswordHash(user, password)) {
+      // 保存到文件数据库
+      try {
+        await db.updateUser(user.username, { password: user.password, hashVersion: user.hashVersion });
+        console.log(`✅ 管理员密码哈希已升级: ${user.username}`);
+      } catch (error) {
+        console.error('❌ 保存升级后的管理员密码哈希失败:', error.message);
+      }
+    }
+    
+    const tokens = await issueTokens(user, 'admin', req);
     console.log(`管理员登录: ${sanitizedUsername}`);
-    res.json({ message: '管理员登录成功', token });
+    res.json({ message: '管理员登录成功', ...tokens });
   } catch (error) {
     console.error('管理员登录错误:', error);
     res.status(500).json({ message: '服务器错误' });
@@ -771,11 +4285,23 @@ app.post('/admin/login', authLimiter, (req, res) => {
 });
 
 // 获取管理员设置
-app.get('/admin/settings', verifyAdminToken, (req, res) => {
+app.get('/admin/settings', verifyAdminToken, requirePermission('settings.read'), (req, res) => {
   try {
+    const role = getUserRole(req.account);
     res.json({
-      adminUsername: adminAccount.username,
-      allowRegistration: systemSettings.allowRegistration
+      adminUsername: req.account.username,
+      adminRole: role,
+      permissions: USER_ROLES[role].permissions,
+      allowRegistration: systemSettings.allowRegistration,
+      concreteGrades: systemSettings.concreteGrades,
+      backupSchedule: systemSettings.backupSchedule,
+      trashRetentionDays: systemSettings.trashRetentionDays,
+      maxRecordsPerUser: systemSettings.maxRecordsPerUser,
+      maxHistoryPerUser: systemSettings.maxHistoryPerUser,
+      componentCatalog: systemSettings.componentCatalog,
+      priceTable: systemSettings.priceTable,
+      shapes: formulas.toJSON().shapes,
+      formworkRules: formulas.toJSON().formworkRules
     });
   } catch (error) {
     console.error('获取管理员设置错误:', error);
@@ -784,82 +4310,370 @@ app.get('/admin/settings', verifyAdminToken, (req, res) => {
 });
 
 // 更新管理员设置
-app.put('/admin/settings', verifyAdminToken, async (req, res) => {
+app.put('/admin/settings', verifyAdminToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const {
+      allowRegistration, concreteGrades, backupSchedule, trashRetentionDays, maxRecordsPerUser, maxHistoryPerUser, componentCatalog,
+      priceTable
+    } = req.body;
+    
+    if (allowRegistration === undefined && concreteGrades === undefined && backupSchedule === undefined &&
+        trashRetentionDays === undefined && maxRecordsPerUser === undefined && maxHistoryPerUser === undefined &&
+        componentCatalog === undefined && priceTable === undefined) {
+      return res.status(400).json({ message: '参数错误' });
+    }
+    
+    if (allowRegistration !== undefined && typeof allowRegistration !== 'boolean') {
+      return res.status(400).json({ message: '参数错误' });
+    }
+    
+    if (concreteGrades !== undefined && !validateConcreteGrades(concreteGrades)) {
+      return res.status(400).json({ message: '强度等级列表格式不正确（1-50个不重复的等级，每个不超过30个字符）' });
+    }
+    
+    if (backupSchedule !== undefined && !validateBackupSchedule(backupSchedule)) {
+      return res.status(400).json({ message: '定时备份设置不正确（间隔1-168小时，保留1-100个备份）' });
+    }
+    
+    if (trashRetentionDays !== undefined && !validateTrashRetentionDays(trashRetentionDays)) {
+      return res.status(400).json({ message: '回收站保留天数必须为1-365的整数' });
+    }
+    
+    if (maxRecordsPerUser !== undefined && !validateQuota(maxRecordsPerUser, QUOTA_LIMITS.maxRecords)) {
+      return res.status(400).json({ message: `记录数量配额必须为1-${QUOTA_LIMITS.maxRecords}的整数` });
+    }
+    
+    if (maxHistoryPerUser !== undefined && !validateQuota(maxHistoryPerUser, QUOTA_LIMITS.maxHistory)) {
+      return res.status(400).json({ message: `历史数据数量配额必须为1-${QUOTA_LIMITS.maxHistory}的整数` });
+    }
+    
+    if (componentCatalog !== undefined && !validateComponentCatalog(componentCatalog)) {
+      return res.status(400).json({ message: '构件库格式不正确（1-100种不重复的构件，每种至少选择一个形状，尺寸名称不超过20个字符，计量单位不超过10个字符，含钢量为0-1000 kg/m³）' });
+    }
+    
+    if (priceTable !== undefined && !validatePriceTable(priceTable)) {
+      return res.status(400).json({ message: `价格表格式不正确（单价、泵送费及加价为0-${MAX_UNIT_PRICE}元/m³，单价需填写强度等级或构件类型且不能重复，加价项需填写名称）` });
+    }
+    
+    const before = {
+      allowRegistration: systemSettings.allowRegistration,
+      concreteGrades: systemSettings.concreteGrades,
+      backupSchedule: systemSettings.backupSchedule,
+      trashRetentionDays: systemSettings.trashRetentionDays,
+      maxRecordsPerUser: systemSettings.maxRecordsPerUser,
+      maxHistoryPerUser: systemSettings.maxHistoryPerUser,
+      componentCatalog: systemSettings.componentCatalog,
+      priceTable: systemSettings.priceTable
+    };
+    if (allowRegistration !== undefined) {
+      systemSettings.allowRegistration = allowRegistration;
+    }
+    if (concreteGrades !== undefined) {
+      systemSettings.concreteGrades = concreteGrades.map(g => sanitizeString(g));
+    }
+    if (backupSchedule !== undefined) {
+      const { enabled, intervalHours, retention } = backupSchedule;
+      systemSettings.backupSchedule = { enabled, intervalHours, retention };
+      scheduleBackups();
+    }
+    if (trashRetentionDays !== undefined) {
+      systemSettings.trashRetentionDays = trashRetentionDays;
+    }
+    if (maxRecordsPerUser !== undefined) {
+      systemSettings.maxRecordsPerUser = maxRecordsPerUser;
+    }
+    if (maxHistoryPerUser !== undefined) {
+      systemSettings.maxHistoryPerUser = maxHistoryPerUser;
+    }
+    if (componentCatalog !== undefined) {
+      systemSettings.componentCatalog = componentCatalog.map(({
+        type, shapes, labels = {}, unit, formwork = 'none', rebarRatio = 0, gradeRebarRatios = {}
+      }) => ({
+        type: sanitizeString(type),
+        shapes: [...shapes],
+        labels: Object.fromEntries(Object.entries(labels).map(([key, label]) => [key, sanitizeString(label)])),
+        unit: sanitizeString(unit),
+        formwork,
+        rebarRatio,
+        gradeRebarRatios: Object.fromEntries(Object.entries(gradeRebarRatios).map(([grade, ratio]) => [sanitizeString(grade), ratio]))
+      }));
+      formulas.setCatalog(systemSettings.componentCatalog);
+      await recalculateRecordQuantities();
+    }
+    if (priceTable !== undefined) {
+      systemSettings.priceTable = normalizePriceTable(priceTable);
+    }
+    systemSettings.updatedAt = new Date().toISOString();
+    
+    // 保存到文件数据库
+    try {
+      await db.saveSystemSettings(systemSettings);
+      console.log('✅ 系统设置已保存到数据库');
+    } catch (error) {
+      console.error('❌ 保存系统设置失败:', error.message);
+    }
+    
+    await audit(req, 'settings.update', {
+      before,
+      after: {
+        allowRegistration: systemSettings.allowRegistration,
+        concreteGrades: systemSettings.concreteGrades,
+        backupSchedule: systemSettings.backupSchedule,
+        trashRetentionDays: systemSettings.trashRetentionDays,
+        maxRecordsPerUser: systemSettings.maxRecordsPerUser,
+        maxHistoryPerUser: systemSettings.maxHistoryPerUser,
+        componentCatalog: systemSettings.componentCatalog,
+        priceTable: systemSettings.priceTable
+      }
+    });
+    
+    if (trashRetentionDays !== undefined) {
+      await purgeExpiredTrash();
+    }
+    
+    res.json({ message: '系统设置更新成功' });
+  } catch (error) {
+    console.error('更新管理员设置错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 修改当前管理员的密码（账号名与记录关联，不支持修改）
+app.put('/admin/account', verifyAdminToken, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const account = req.account;
+    
+    if (!validatePassword(password)) {
+      return res.status(400).json({ message: '密码格式不正确' });
+    }
+    
+    if (username !== undefined && sanitizeString(username) !== account.username) {
+      return res.status(400).json({ message: '管理员账号不支持改名，请新建账号并分配角色' });
+    }
+    
+    // 修改密码后需要重新登录
+    Object.assign(account, await passwordHasher.create(password));
+    await revokeAccountSessions(account);
+    
+    // 保存到文件数据库
+    try {
+      await db.updateUser(account.username, { password: account.password, hashVersion: account.hashVersion });
+      console.log(`✅ 管理员密码更新并保存到数据库: ${account.username}`);
+    } catch (error) {
+      console.error('❌ 保存管理员密码失败:', error.message);
+    }
+    
+    await audit(req, 'admin.password', { target: account.username });
+    
+    res.json({ message: '管理员密码更新成功' });
+  } catch (error) {
+    console.error('更新管理员账号错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取角色列表
+app.get('/admin/roles', verifyAdminToken, requirePermission('users.read'), (req, res) => {
+  try {
+    res.json(Object.entries(USER_ROLES).map(([role, { label, permissions }]) => ({
+      role,
+      label,
+      permissions,
+      assignable: canAssignRole(req.account, role)
+    })));
+  } catch (error) {
+    console.error('获取角色列表错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 获取用户列表
+app.get('/admin/users', verifyAdminToken, requirePermission('users.read'), (req, res) => {
+  try {
+    res.json(users.map(getPublicUser));
+  } catch (error) {
+    console.error('获取用户列表错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 创建用户（可同时指定角色，不受注册开关限制）
+app.post('/admin/users', verifyAdminToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { username, password, role = DEFAULT_USER_ROLE } = req.body;
+    
+    if (!validateUsername(username)) {
+      return res.status(400).json({ message: '用户名格式不正确（3-20个字符，只能包含字母、数字、下划线）' });
+    }
+    
+    if (!validatePassword(password)) {
+      return res.status(400).json({ message: '密码格式不正确' });
+    }
+    
+    if (!USER_ROLES[role]) {
+      return res.status(400).json({ message: '角色不正确' });
+    }
+    
+    if (!canAssignRole(req.account, role)) {
+      return res.status(403).json({ message: '只有超级管理员可以分配管理角色' });
+    }
+    
+    const sanitizedUsername = sanitizeString(username);
+    if (users.find(u => u.username === sanitizedUsername)) {
+      return res.status(400).json({ message: '用户名已存在' });
+    }
+    
+    const user = {
+      username: sanitizedUsername,
+      ...(await passwordHasher.create(password)),
+      role,
+      createdAt: new Date().toISOString()
+    };
+    users.push(user);
+    
+    // 保存到文件数据库
+    try {
+      await db.addUser(user);
+      console.log(`✅ 管理员创建用户并保存到数据库: ${sanitizedUsername} (${role})`);
+    } catch (error) {
+      console.error('❌ 保存用户数据失败:', error.message);
+    }
+    
+    await audit(req, 'user.create', { target: sanitizedUsername, after: { username: sanitizedUsername, role } });
+    
+    res.status(201).json({ message: '用户创建成功', user: getPublicUser(user) });
+  } catch (error) {
+    console.error('创建用户错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 修改用户角色
+app.put('/admin/users/:username/role', verifyAdminToken, requirePermission('users.manage'), async (req, res) => {
   try {
-    const { allowRegistration } = req.body;
+    const { role } = req.body;
+    
+    if (!USER_ROLES[role]) {
+      return res.status(400).json({ message: '角色不正确' });
+    }
+    
+    const sanitizedUsername = sanitizeString(req.params.username);
+    const user = users.find(u => u.username === sanitizedUsername);
+    if (!user) {
+      return res.status(404).json({ message: '用户不存在' });
+    }
+    
+    if (!canManageUser(req.account, user) || !canAssignRole(req.account, role)) {
+      return res.status(403).json({ message: '只有超级管理员可以分配管理角色' });
+    }
+    
+    if (role !== 'super_admin' && isLastSuperAdmin(user)) {
+      return res.status(400).json({ message: '至少需要保留一个超级管理员' });
+    }
+    
+    const previousRole = getUserRole(user);
+    user.role = role;
     
-    if (typeof allowRegistration === 'boolean') {
-      systemSettings.allowRegistration = allowRegistration;
-      
-      // 保存到文件数据库
-      try {
-        await db.saveSystemSettings(systemSettings);
-        console.log('✅ 系统设置已保存到数据库');
-      } catch (error) {
-        console.error('❌ 保存系统设置失败:', error.message);
-      }
-      
-      res.json({ message: '系统设置更新成功' });
-    } else {
-      res.status(400).json({ message: '参数错误' });
+    // 保存到文件数据库
+    try {
+      await db.updateUser(sanitizedUsername, { role });
+      console.log(`✅ 用户角色更新并保存到数据库: ${sanitizedUsername} (${role})`);
+    } catch (error) {
+      console.error('❌ 保存用户角色失败:', error.message);
     }
+    
+    await audit(req, 'user.role', { target: sanitizedUsername, before: { role: previousRole }, after: { role } });
+    
+    res.json({ message: '用户角色更新成功', user: getPublicUser(user) });
   } catch (error) {
-    console.error('更新管理员设置错误:', error);
+    console.error('更新用户角色错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 更新管理员账号
-app.put('/admin/account', verifyAdminToken, async (req, res) => {
+// 单独设置用户配额（{ maxRecords, maxHistory }，值为 null 时恢复系统默认配额）
+app.put('/admin/users/:username/quota', verifyAdminToken, requirePermission('users.manage'), async (req, res) => {
   try {
-    const { username, password } = req.body;
+    if (!validateQuotaOverride(req.body)) {
+      return res.status(400).json({ message: `配额格式不正确（记录1-${QUOTA_LIMITS.maxRecords}条，历史数据1-${QUOTA_LIMITS.maxHistory}条）` });
+    }
     
-    if (!validateUsername(username) || !validatePassword(password)) {
-      return res.status(400).json({ message: '管理员账号或密码格式不正确' });
+    const sanitizedUsername = sanitizeString(req.params.username);
+    const user = users.find(u => u.username === sanitizedUsername);
+    if (!user) {
+      return res.status(404).json({ message: '用户不存在' });
     }
     
-    const sanitizedUsername = sanitizeString(username);
-    const hashedPassword = hashPassword(password);
+    if (!canManageUser(req.account, user)) {
+      return res.status(403).json({ message: '只有超级管理员可以管理管理员账号' });
+    }
     
-    adminAccount.username = sanitizedUsername;
-    adminAccount.password = hashedPassword;
+    const previousQuota = user.quota || null;
+    user.quota = mergeQuota(previousQuota, req.body);
     
     // 保存到文件数据库
     try {
-      await db.saveAdminAccount(adminAccount);
-      console.log(`✅ 管理员账号更新并保存到数据库: ${sanitizedUsername}`);
+      await db.updateUser(sanitizedUsername, { quota: user.quota });
+      console.log(`✅ 用户配额更新并保存到数据库: ${sanitizedUsername}`);
     } catch (error) {
-      console.error('❌ 保存管理员账号失败:', error.message);
+      console.error('❌ 保存用户配额失败:', error.message);
     }
     
-    res.json({ message: '管理员账号更新成功' });
+    await audit(req, 'user.quota', { target: sanitizedUsername, before: previousQuota, after: user.quota });
+    
+    res.json({ message: '用户配额更新成功', user: getPublicUser(user) });
   } catch (error) {
-    console.error('更新管理员账号错误:', error);
+    console.error('更新用户配额错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
-// 获取用户列表
-app.get('/admin/users', verifyAdminToken, (req, res) => {
-  try {
-    const userList = users.map(user => {
-      const historyCount = userHistory[user.username] ? userHistory[user.username].length : 0;
-      return {
-        username: user.username,
-        historyCount,
-        createdAt: user.createdAt || null
-      };
-    });
+// 获取所有项目及其配额用量
+app.get('/admin/projects', verifyAdminToken, requirePermission('users.read'), (req, res) => {
+  try {
+    res.json(projects.map(project => ({
+      id: project.id,
+      name: project.name,
+      owner: project.owner,
+      memberCount: project.members.length,
+      quota: getQuotaUsage(project, getProjectRecords(project.id), getProjectHistory(project.id)),
+      createdAt: project.createdAt
+    })));
+  } catch (error) {
+    console.error('获取项目列表错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 单独设置项目配额（格式同用户配额）
+app.put('/admin/projects/:id/quota', verifyAdminToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    if (!validateQuotaOverride(req.body)) {
+      return res.status(400).json({ message: `配额格式不正确（记录1-${QUOTA_LIMITS.maxRecords}条，历史数据1-${QUOTA_LIMITS.maxHistory}条）` });
+    }
+    
+    const project = projects.find(p => p.id === req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: '项目不存在' });
+    }
+    
+    const previousQuota = project.quota || null;
+    project.quota = mergeQuota(previousQuota, req.body);
+    project.updatedAt = new Date().toISOString();
+    await saveProject(project, '项目配额');
+    
+    await audit(req, 'project.quota', { target: project.id, before: previousQuota, after: project.quota });
     
-    res.json(userList);
+    res.json({ message: '项目配额更新成功', quota: getQuotaUsage(project, getProjectRecords(project.id), getProjectHistory(project.id)) });
   } catch (error) {
-    console.error('获取用户列表错误:', error);
+    console.error('更新项目配额错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
 // 更新用户密码
-app.put('/admin/users/:username/password', verifyAdminToken, async (req, res) => {
+app.put('/admin/users/:username/password', verifyAdminToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const { username } = req.params;
     const { password } = req.body;
@@ -874,16 +4688,25 @@ app.put('/admin/users/:username/password', verifyAdminToken, async (req, res) =>
       return res.status(404).json({ message: '用户不存在' });
     }
     
-    user.password = hashPassword(password);
+    if (!canManageUser(req.account, user)) {
+      return res.status(403).json({ message: '只有超级管理员可以管理管理员账号' });
+    }
+    
+    Object.assign(user, await passwordHasher.create(password));
+    
+    // 重置密码后该用户需要重新登录
+    await revokeAccountSessions(user);
     
     // 保存到文件数据库
     try {
-      await db.saveUsers(users);
+      await db.updateUser(sanitizedUsername, { password: user.password, hashVersion: user.hashVersion });
       console.log(`✅ 用户密码更新并保存到数据库: ${sanitizedUsername}`);
     } catch (error) {
       console.error('❌ 保存用户密码失败:', error.message);
     }
     
+    await audit(req, 'user.password_reset', { target: sanitizedUsername });
+    
     res.json({ message: '用户密码更新成功' });
   } catch (error) {
     console.error('更新用户密码错误:', error);
@@ -891,8 +4714,81 @@ app.put('/admin/users/:username/password', verifyAdminToken, async (req, res) =>
   }
 });
 
+// 强制用户下线：撤销该用户的全部会话
+app.post('/admin/users/:username/logout', verifyAdminToken, requirePermission('sessions.manage'), async (req, res) => {
+  try {
+    const sanitizedUsername = sanitizeString(req.params.username);
+    const user = users.find(u => u.username === sanitizedUsername);
+    if (!user) {
+      return res.status(404).json({ message: '用户不存在' });
+    }
+    
+    if (!canManageUser(req.account, user)) {
+      return res.status(403).json({ message: '只有超级管理员可以管理管理员账号' });
+    }
+    
+    await revokeAccountSessions(user);
+    await audit(req, 'user.logout', { target: sanitizedUsername });
+    
+    res.json({ message: '用户已强制下线' });
+  } catch (error) {
+    console.error('强制下线错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 撤销所有用户的会话（当前管理员除外；非超级管理员不影响其他管理员）
+app.post('/admin/sessions/revoke', verifyAdminToken, requirePermission('sessions.manage'), async (req, res) => {
+  try {
+    const targets = users.filter(u => u !== req.account && canManageUser(req.account, u));
+    const names = new Set(targets.map(u => u.username));
+    for (const user of targets) {
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+    }
+    await removeSessions(s => names.has(s.username));
+    
+    // 保存到文件数据库
+    try {
+      await db.saveUsers(users);
+      console.log(`✅ 已撤销所有用户的登录会话 (${targets.length}个用户)`);
+    } catch (error) {
+      console.error('❌ 保存令牌版本失败:', error.message);
+    }
+    
+    await audit(req, 'sessions.revoke', { after: { usernames: [...names] } });
+    
+    res.json({ message: `已撤销 ${targets.length} 个用户的全部会话` });
+  } catch (error) {
+    console.error('撤销会话错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 从所有项目中移除用户：失去所有者的项目由最早加入的成员接管，无成员的项目连同数据一并删除
+// 返回被删除的项目ID
+function removeProjectMemberships(username) {
+  for (const project of projects) {
+    if (!getProjectRole(project, username)) continue;
+
+    project.members = project.members.filter(m => m.username !== username);
+    if (project.members.length > 0 && !project.members.some(m => m.role === 'owner')) {
+      project.members[0].role = 'owner';
+      project.owner = project.members[0].username;
+    }
+    project.updatedAt = new Date().toISOString();
+  }
+
+  const removedIds = projects.filter(p => p.members.length === 0).map(p => p.id);
+  for (const projectId of removedIds) {
+    delete projectRecords[projectId];
+    delete projectHistory[projectId];
+  }
+  projects = projects.filter(p => p.members.length > 0);
+  return removedIds;
+}
+
 // 删除用户
-app.delete('/admin/users/:username', verifyAdminToken, async (req, res) => {
+app.delete('/admin/users/:username', verifyAdminToken, requirePermission('users.manage'), async (req, res) => {
   try {
     const { username } = req.params;
     const sanitizedUsername = sanitizeString(username);
@@ -902,28 +4798,498 @@ app.delete('/admin/users/:username', verifyAdminToken, async (req, res) => {
       return res.status(404).json({ message: '用户不存在' });
     }
     
+    const user = users[userIndex];
+    if (user === req.account) {
+      return res.status(400).json({ message: '不能删除当前登录的账号' });
+    }
+    if (!canManageUser(req.account, user)) {
+      return res.status(403).json({ message: '只有超级管理员可以管理管理员账号' });
+    }
+    if (isLastSuperAdmin(user)) {
+      return res.status(400).json({ message: '至少需要保留一个超级管理员' });
+    }
+    
+    // 审计日志保留被删除用户的记录及历史数据概要
+    const before = {
+      ...getPublicUser(user),
+      records: getUserRecords(sanitizedUsername),
+      history: getUserHistory(sanitizedUsername).map(h => ({ id: h.id, name: h.name, recordCount: h.records.length }))
+    };
+    
+    // 回收站保留用户、个人数据、只有该用户的项目及项目成员身份，
+    // 个人空间及这些项目的回收站数据随用户一起移入，避免同名新用户看到
+    const memberProjects = projects.filter(p => getProjectRole(p, sanitizedUsername));
+    const soleProjects = memberProjects.filter(p => p.members.length === 1);
+    const scopeKeys = [`user:${sanitizedUsername}`, ...soleProjects.map(p => `project:${p.id}`)];
+    const userTrash = trash.filter(t => scopeKeys.includes(t.scope));
+    const trashData = {
+      user: { ...user },
+      records: getUserRecords(sanitizedUsername),
+      history: getUserHistory(sanitizedUsername),
+      projects: soleProjects.map(p => ({
+        project: { ...p, members: p.members.map(m => ({ ...m })) },
+        records: getProjectRecords(p.id),
+        history: getProjectHistory(p.id)
+      })),
+      memberships: memberProjects
+        .filter(p => p.members.length > 1)
+        .map(p => ({ projectId: p.id, role: getProjectRole(p, sanitizedUsername) })),
+      trash: userTrash
+    };
+    await removeTrashItems(userTrash.map(t => t.id));
+    
     // 删除用户相关数据
     users.splice(userIndex, 1);
+    await removeSessions(s => s.username === sanitizedUsername);
     delete userRecords[sanitizedUsername];
     delete userHistory[sanitizedUsername];
+    const removedProjectIds = removeProjectMemberships(sanitizedUsername);
     
     // 保存到文件数据库
     try {
-      await db.saveUsers(users);
-      await db.saveUserRecords(userRecords);
-      await db.saveUserHistory(userHistory);
+      await db.deleteUser(sanitizedUsername);
+      await db.deleteUserData(sanitizedUsername);
+      for (const projectId of removedProjectIds) {
+        await db.deleteProject(projectId);
+      }
+      await db.saveProjects(projects);
       console.log(`✅ 用户删除并保存到数据库: ${sanitizedUsername}`);
     } catch (error) {
       console.error('❌ 保存用户删除失败:', error.message);
     }
     
-    res.json({ message: '用户删除成功' });
+    await moveToTrash(req, 'user', trashData);
+    await audit(req, 'user.delete', { target: sanitizedUsername, before: { ...before, removedProjects: removedProjectIds } });
+    
+    res.json({ message: '用户删除成功，可在回收站恢复' });
   } catch (error) {
     console.error('删除用户错误:', error);
     res.status(500).json({ message: '服务器错误' });
   }
 });
 
+// 解析审计日志查询参数：username、action（逗号分隔）、dateFrom、dateTo、page、pageSize
+function parseAuditQuery(query) {
+  const text = key => (query[key] === undefined ? '' : String(query[key]).trim());
+
+  const page = text('page') ? Number(text('page')) : 1;
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: '页码必须为正整数' };
+  }
+
+  const pageSize = text('pageSize') ? Number(text('pageSize')) : 50;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) {
+    return { error: '每页条数必须为1-200' };
+  }
+
+  const actions = text('action') ? text('action').split(',').map(a => a.trim()).filter(Boolean) : null;
+  if (actions && actions.some(a => !AUDIT_ACTIONS[a])) {
+    return { error: '操作类型不正确' };
+  }
+
+  // 日期范围：只填日期时结束日期包含当天
+  const dateFrom = text('dateFrom') ? new Date(text('dateFrom')) : null;
+  let dateTo = text('dateTo') ? new Date(text('dateTo')) : null;
+  if ((dateFrom && isNaN(dateFrom)) || (dateTo && isNaN(dateTo))) {
+    return { error: '日期格式不正确' };
+  }
+  if (dateTo && /^\d{4}-\d{2}-\d{2}$/.test(text('dateTo'))) {
+    dateTo = new Date(dateTo.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  return {
+    page,
+    pageSize,
+    filters: {
+      username: text('username') ? sanitizeString(text('username')) : null,
+      actions,
+      dateFrom: dateFrom ? dateFrom.toISOString() : null,
+      dateTo: dateTo ? dateTo.toISOString() : null
+    }
+  };
+}
+
+// 查询审计日志
+app.get('/admin/audit', verifyAdminToken, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const query = parseAuditQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+    
+    const { entries, total } = await db.queryAuditLog({
+      ...query.filters,
+      offset: (query.page - 1) * query.pageSize,
+      limit: query.pageSize
+    });
+    
+    res.json({
+      entries,
+      total,
+      page: query.page,
+      pageSize: query.pageSize,
+      totalPages: Math.max(1, Math.ceil(total / query.pageSize)),
+      actions: AUDIT_ACTIONS
+    });
+  } catch (error) {
+    console.error('查询审计日志错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 导出审计日志（?format=xlsx|csv，筛选参数同查询接口）
+app.get('/admin/audit/export', verifyAdminToken, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'xlsx';
+    if (format !== 'xlsx' && format !== 'csv') {
+      return res.status(400).json({ message: '不支持的导出格式' });
+    }
+    
+    const query = parseAuditQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+    
+    const { entries } = await db.queryAuditLog({ ...query.filters, limit: secureExcel.maxRows });
+    if (entries.length === 0) {
+      return res.status(400).json({ message: '无数据导出' });
+    }
+    
+    // Excel 单元格最多 32767 个字符，过长的变更内容截断
+    const json = value => {
+      if (value === null || value === undefined) return '';
+      const text = JSON.stringify(value);
+      return text.length > 32000 ? text.slice(0, 32000) + '…' : text;
+    };
+    const rows = entries.map(entry => ({
+      时间: new Date(entry.at).toLocaleString(),
+      用户: entry.username || '',
+      IP: entry.ip || '',
+      操作: AUDIT_ACTIONS[entry.action] || entry.action,
+      请求: `${entry.method} ${entry.route}`,
+      项目: entry.project || '',
+      对象: entry.target === null || entry.target === undefined ? '' : String(entry.target),
+      修改前: json(entry.before),
+      修改后: json(entry.after)
+    }));
+    
+    const buf = format === 'csv'
+      ? secureExcel.generateCsv(rows, req.query.encoding === 'gbk' ? 'gbk' : 'utf8')
+      : secureExcel.generateExcelSafely({ 审计日志: rows });
+    const filename = secureExcel.generateSafeFilename('审计日志', format);
+    
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.setHeader('Content-Type', format === 'csv'
+      ? `text/csv; charset=${req.query.encoding === 'gbk' ? 'gbk' : 'utf-8'}`
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(buf);
+  } catch (error) {
+    console.error('导出审计日志错误:', error);
+    res.status(500).json({ message: '导出失败' });
+  }
+});
+
+// 获取备份列表及定时备份设置
+app.get('/admin/backups', verifyAdminToken, requirePermission('backups.manage'), async (req, res) => {
+  try {
+    res.json({ backups: await db.listBackups(), schedule: systemSettings.backupSchedule });
+  } catch (error) {
+    console.error('获取备份列表错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 立即创建备份
+app.post('/admin/backups', verifyAdminToken, requirePermission('backups.manage'), async (req, res) => {
+  try {
+    if (backupInProgress) {
+      return res.status(409).json({ message: '备份或恢复正在进行中，请稍后重试' });
+    }
+
+    const name = path.basename(await runBackup());
+    const backup = (await db.listBackups()).find(b => b.name === name);
+    await audit(req, 'backup.create', { target: name });
+
+    res.status(201).json({ message: '备份创建成功', backup });
+  } catch (error) {
+    console.error('创建备份错误:', error);
+    res.status(500).json({ message: '备份创建失败' });
+  }
+});
+
+// 下载备份（zip）
+app.get('/admin/backups/:name/download', verifyAdminToken, requirePermission('backups.manage'), async (req, res) => {
+  try {
+    const buf = await db.archiveBackup(req.params.name);
+    if (!buf) {
+      return res.status(404).json({ message: '备份不存在' });
+    }
+
+    await audit(req, 'backup.download', { target: req.params.name });
+
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}.zip"`);
+    res.setHeader('Content-Type', 'application/zip');
+    res.send(buf);
+  } catch (error) {
+    console.error('下载备份错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 恢复备份：先自动备份当前数据，恢复后重新加载内存中的数据
+app.post('/admin/backups/:name/restore', verifyAdminToken, requirePermission('backups.manage'), async (req, res) => {
+  try {
+    const backupPath = await db.getBackupPath(req.params.name);
+    if (!backupPath) {
+      return res.status(404).json({ message: '备份不存在' });
+    }
+    if (backupInProgress) {
+      return res.status(409).json({ message: '备份或恢复正在进行中，请稍后重试' });
+    }
+
+    let safetyBackup;
+    backupInProgress = true;
+    try {
+      safetyBackup = path.basename(await db.createBackup());
+      await db.restoreBackup(backupPath);
+
+      // 保留当前的登录会话，避免恢复出已撤销的会话；账户已不存在的会话失效
+      const currentSessions = sessions;
+      await loadState();
+      sessions = currentSessions.filter(s => getSessionAccount(s.role, s.username));
+      await db.saveSessions(sessions);
+      scheduleBackups();
+    } finally {
+      backupInProgress = false;
+    }
+
+    console.log(`✅ 已从备份恢复数据: ${req.params.name}`);
+    await audit(req, 'backup.restore', { target: req.params.name, after: { safetyBackup } });
+
+    res.json({ message: `数据已恢复，恢复前的数据已备份为 ${safetyBackup}`, safetyBackup });
+  } catch (error) {
+    console.error('恢复备份错误:', error);
+    res.status(500).json({ message: '恢复备份失败' });
+  }
+});
+
+// 获取全部回收站数据（?kind=records|history|user 筛选）
+app.get('/admin/trash', verifyAdminToken, requirePermission('trash.manage'), (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind !== undefined && !TRASH_KINDS[kind]) {
+      return res.status(400).json({ message: '数据类型不正确' });
+    }
+
+    const items = trash.filter(t => !kind || t.kind === kind).reverse().map(getTrashSummary);
+    res.json({ items, retentionDays: systemSettings.trashRetentionDays });
+  } catch (error) {
+    console.error('获取回收站错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 管理员从回收站恢复（包括已删除的用户）
+app.post('/admin/trash/:id/restore', verifyAdminToken, requirePermission('trash.manage'), async (req, res) => {
+  try {
+    const item = trash.find(t => t.id === req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: '回收站中没有该数据' });
+    }
+
+    const { message, status, error } = await restoreTrashItem(item);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    await audit(req, 'trash.restore', { target: item.id, after: getTrashSummary(item) });
+
+    res.json({ message });
+  } catch (error) {
+    console.error('恢复回收站数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 彻底清除回收站中的一项数据
+app.delete('/admin/trash/:id', verifyAdminToken, requirePermission('trash.manage'), async (req, res) => {
+  try {
+    const item = trash.find(t => t.id === req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: '回收站中没有该数据' });
+    }
+
+    await removeTrashItems([item.id]);
+    await audit(req, 'trash.purge', { target: item.id, before: getTrashSummary(item) });
+
+    res.json({ message: '已彻底清除' });
+  } catch (error) {
+    console.error('清除回收站数据错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 清空回收站（?kind= 只清除某类数据）
+app.delete('/admin/trash', verifyAdminToken, requirePermission('trash.manage'), async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind !== undefined && !TRASH_KINDS[kind]) {
+      return res.status(400).json({ message: '数据类型不正确' });
+    }
+
+    const removed = trash.filter(t => !kind || t.kind === kind);
+    await removeTrashItems(removed.map(t => t.id));
+    await audit(req, 'trash.purge', { target: kind || 'all', before: removed.map(getTrashSummary) });
+
+    res.json({ message: `已清除 ${removed.length} 项数据` });
+  } catch (error) {
+    console.error('清空回收站错误:', error);
+    res.status(500).json({ message: '服务器错误' });
+  }
+});
+
+// 迁移旧记录：补齐UUID及版本号
+async function migrateRecordIds() {
+  let migrated = 0;
+  for (const [username, records] of Object.entries(userRecords)) {
+    if (ensureRecordIds(records)) {
+      await db.saveUserRecordsByUsername(username, records);
+      migrated++;
+    }
+  }
+  for (const [projectId, records] of Object.entries(projectRecords)) {
+    if (ensureRecordIds(records)) {
+      await db.saveProjectRecordsById(projectId, records);
+      migrated++;
+    }
+  }
+  if (migrated > 0) {
+    console.log(`✅ 已为 ${migrated} 个数据范围的旧记录分配ID`);
+  }
+}
+
+// 按当前构件库重新计算所有记录的模板面积及钢筋重量（启动时及修改构件库后执行），
+// 历史数据只为缺少这两项的旧快照补算，已有的值保留当时的计算结果
+async function recalculateRecordQuantities() {
+  let updated = 0;
+  for (const [username, records] of Object.entries(userRecords)) {
+    if (updateRecordQuantities(records)) {
+      await db.saveUserRecordsByUsername(username, records);
+      updated++;
+    }
+  }
+  for (const [projectId, records] of Object.entries(projectRecords)) {
+    if (updateRecordQuantities(records)) {
+      await db.saveProjectRecordsById(projectId, records);
+      updated++;
+    }
+  }
+
+  const fillMissing = history => history.reduce((changed, entry) => {
+    const snapshots = [entry, ...(entry.versions || [])];
+    const missing = snapshots.flatMap(snapshot => (snapshot.records || []).filter(r => r.rebarWeight === undefined));
+    return updateRecordQuantities(missing) || changed;
+  }, false);
+  for (const [username, history] of Object.entries(userHistory)) {
+    if (fillMissing(history)) {
+      await db.saveUserHistoryByUsername(username, history);
+      updated++;
+    }
+  }
+  for (const [projectId, history] of Object.entries(projectHistory)) {
+    if (fillMissing(history)) {
+      await db.saveProjectHistoryById(projectId, history);
+      updated++;
+    }
+  }
+  if (updated > 0) {
+    console.log(`✅ 已更新 ${updated} 个数据范围的模板面积及钢筋重量`);
+  }
+}
+
+// 将旧版单一管理员账户迁移为超级管理员用户（只执行一次）
+// 与已有用户重名时改用 <账号>_admin，避免普通用户获得管理权限
+async function migrateAdminAccount(adminAccount) {
+  if (!adminAccount || adminAccount.migratedAt) return;
+
+  let username = adminAccount.username;
+  if (users.some(u => u.username === username)) {
+    const base = `${username.slice(0, 14)}_admin`;
+    username = base;
+    for (let i = 2; users.some(u => u.username === username); i++) {
+      username = `${base.slice(0, 18)}${i}`;
+    }
+  }
+
+  const user = {
+    username,
+    password: adminAccount.password,
+    hashVersion: adminAccount.hashVersion,
+    tokenVersion: adminAccount.tokenVersion || 0,
+    role: 'super_admin',
+    createdAt: adminAccount.createdAt || new Date().toISOString()
+  };
+  users.push(user);
+
+  // 保存到文件数据库
+  try {
+    await db.addUser(user);
+    await db.saveAdminAccount({ ...adminAccount, migratedAt: new Date().toISOString(), migratedTo: username });
+    console.log(`✅ 管理员账户已迁移为超级管理员用户: ${username}`);
+  } catch (error) {
+    console.error('❌ 迁移管理员账户失败:', error.message);
+  }
+}
+
+// 从数据库加载数据到内存（启动及恢复备份时使用），并迁移旧版本数据
+async function loadState() {
+  users = await db.getUsers();
+  userRecords = await db.getUserRecords();
+  userHistory = await db.getUserHistory();
+  projects = await db.getProjects();
+  projectRecords = await db.getProjectRecords();
+  projectHistory = await db.getProjectHistory();
+  systemSettings = await db.getSystemSettings();
+  formulas.setCatalog(systemSettings.componentCatalog);
+  trash = await db.getTrash();
+  await migrateAdminAccount(await db.getAdminAccount());
+  await migrateRecordIds();
+  await recalculateRecordQuantities();
+}
+
+// 创建备份并按设置的保留数量清理旧备份，返回备份目录
+async function runBackup() {
+  backupInProgress = true;
+  try {
+    const backupPath = await db.createBackup();
+    await db.cleanupOldBackups(systemSettings.backupSchedule.retention);
+    return backupPath;
+  } finally {
+    backupInProgress = false;
+  }
+}
+
+// 按系统设置重新安排定时备份
+function scheduleBackups() {
+  if (backupTimer) {
+    clearInterval(backupTimer);
+    backupTimer = null;
+  }
+
+  const { enabled, intervalHours } = systemSettings.backupSchedule;
+  if (!enabled) return;
+
+  backupTimer = setInterval(async () => {
+    if (backupInProgress) return;
+    try {
+      await runBackup();
+    } catch (error) {
+      console.error('❌ 定时备份失败:', error.message);
+    }
+  }, intervalHours * 60 * 60 * 1000);
+  console.log(`⏰ 定时备份已启用: 每 ${intervalHours} 小时，保留 ${systemSettings.backupSchedule.retention} 个`);
+}
+
 // 数据库初始化函数
 async function initializeDatabase() {
   try {
@@ -931,14 +5297,24 @@ async function initializeDatabase() {
       await db.initialize();
       
       // 从数据库加载数据到内存
-      users = await db.getUsers();
-      userRecords = await db.getUserRecords();
-      userHistory = await db.getUserHistory();
-      adminAccount = await db.getAdminAccount();
-      systemSettings = await db.getSystemSettings();
+      await loadState();
+      sessions = (await db.getSessions()).filter(s => new Date(s.expiresAt) > new Date());
+      
+      // 旧版密码哈希依赖 JWT_SECRET，未设置密钥时无法校验
+      const legacyAccounts = users.filter(account => !account.hashVersion);
+      if (legacyAccounts.length > 0) {
+        console.log(passwordHasher.legacySecret
+          ? `🔑 ${legacyAccounts.length} 个账户使用旧版密码哈希，将在登录时自动升级`
+          : `⚠️  ${legacyAccounts.length} 个账户使用旧版密码哈希，但未设置 LEGACY_PASSWORD_SECRET 或 JWT_SECRET，无法登录`);
+      }
+      
+      // 创建初始备份并启用定时备份
+      await runBackup();
+      scheduleBackups();
       
-      // 创建初始备份
-      await db.createBackup();
+      // 定期清除过期的回收站数据
+      await purgeExpiredTrash();
+      setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL);
       
       dbInitialized = true;
       console.log('✅ 数据库初始化完成');
@@ -958,7 +5334,7 @@ app.listen(port, '0.0.0.0', async () => {
   console.log(`🔗 访问地址: http://localhost:${port}`);
   console.log(`🔒 数据隔离: 已启用`);
   console.log(`🛡️  安全措施: 已启用`);
-  console.log(`📊 文件数据库: 已启用`);
+  console.log(`📊 存储后端: ${DB_DRIVER}`);
   
   // 初始化数据库
   await initializeDatabase();
@@ -0,0 +1,677 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Database = require('better-sqlite3');
+const FileDatabase = require('./database');
+
+/**
+ * 记录及历史数据表：按数据范围和ID存储，seq 保存列表中的顺序
+ */
+function rowTableSql(table) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      scope TEXT NOT NULL,
+      id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (scope, id)
+    );
+  `;
+}
+
+/**
+ * 行主键：记录使用UUID，历史数据使用时间戳ID；
+ * 旧数据缺少ID或ID重复时按位置编号（分配UUID后即替换为UUID）
+ */
+function getRowKeys(items) {
+  const seen = new Set();
+  return items.map((item, position) => {
+    let key = item && item.id !== undefined && item.id !== null ? String(item.id) : null;
+    if (key === null || seen.has(key)) {
+      key = `#${position}`;
+    }
+    seen.add(key);
+    return key;
+  });
+}
+
+/**
+ * SQLite 数据库模块
+ * 与 FileDatabase 提供相同的接口，按行增量写入并在事务中提交，
+ * 避免每次修改都重写整个 JSON 文件
+ */
+class SqliteDatabase extends FileDatabase {
+  constructor(dataDir = './data') {
+    super(dataDir);
+    this.dbFile = path.join(dataDir, 'concrete.db');
+    this.db = null;
+  }
+
+  /**
+   * 初始化数据库
+   */
+  async initialize() {
+    try {
+      await this.ensureDirectory(this.dataDir);
+      await this.ensureDirectory(this.backupDir);
+
+      this.open();
+
+      // 首次启动时从旧的 JSON 文件迁移数据
+      if (!this.getMeta('migratedAt')) {
+        await this.migrateFromFiles();
+      }
+      await this.migrateAuditLog();
+
+      this.isInitialized = true;
+      console.log('✅ SQLite数据库初始化成功');
+    } catch (error) {
+      console.error('❌ SQLite数据库初始化失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 打开数据库并创建表结构
+   */
+  open() {
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      ${rowTableSql('records')}
+      ${rowTableSql('history')}
+      CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS trash (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS audit_log (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        username TEXT,
+        action TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS audit_log_at ON audit_log (at);
+      CREATE INDEX IF NOT EXISTS audit_log_username ON audit_log (username);
+    `);
+    this.migrateRowTables();
+  }
+
+  /**
+   * 旧版记录及历史数据表按 (scope, position) 存储，改为按ID存储（打开旧数据库或旧备份时执行）
+   */
+  migrateRowTables() {
+    for (const table of ['records', 'history']) {
+      const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+      if (!columns.includes('position')) {
+        continue;
+      }
+
+      this.db.transaction(() => {
+        const scopes = {};
+        for (const row of this.db.prepare(`SELECT scope, data FROM ${table} ORDER BY scope, position`).all()) {
+          (scopes[row.scope] = scopes[row.scope] || []).push(JSON.parse(row.data));
+        }
+        this.db.exec(`DROP TABLE ${table}`);
+        this.db.exec(rowTableSql(table));
+        for (const [scope, items] of Object.entries(scopes)) {
+          this.saveRows(table, scope, items);
+        }
+      })();
+      console.log(`✅ ${table} 表已改为按ID存储`);
+    }
+  }
+
+  /**
+   * 关闭数据库
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * 键值配置读写（管理员账户、系统设置、迁移标记）
+   */
+  getMeta(key) {
+    const row = this.db.prepare('SELECT data FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare(`
+      INSERT INTO settings (key, data) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET data = excluded.data
+    `).run(key, JSON.stringify(value));
+  }
+
+  /**
+   * 读取某个数据范围的列表（user:用户名 或 project:项目ID）
+   */
+  getRows(table, scope) {
+    return this.db.prepare(`SELECT data FROM ${table} WHERE scope = ? ORDER BY seq`)
+      .all(scope)
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * 按前缀读取所有数据范围，返回 { 名称: 列表 }
+   */
+  getRowsByPrefix(table, prefix) {
+    const result = {};
+    const rows = this.db.prepare(`SELECT scope, data FROM ${table} WHERE scope LIKE ? ORDER BY scope, seq`)
+      .all(prefix + '%');
+    for (const row of rows) {
+      const key = row.scope.slice(prefix.length);
+      (result[key] = result[key] || []).push(JSON.parse(row.data));
+    }
+    return result;
+  }
+
+  /**
+   * 保存某个数据范围的列表：按ID比较，只写入新增或内容变化的行，并删除已移除的行
+   * 保留的行顺序不变、新增的行都在末尾时沿用原有顺序号，否则（如调整了顺序）重新编号
+   */
+  saveRows(table, scope, items) {
+    const existing = new Map(
+      this.db.prepare(`SELECT id, seq, data FROM ${table} WHERE scope = ?`)
+        .all(scope)
+        .map(row => [row.id, row])
+    );
+    const keys = getRowKeys(items);
+
+    let lastSeq = -1;
+    let appended = false;
+    let inOrder = true;
+    for (const key of keys) {
+      const row = existing.get(key);
+      if (!row) {
+        appended = true;
+      } else if (appended || row.seq <= lastSeq) {
+        inOrder = false;
+        break;
+      } else {
+        lastSeq = row.seq;
+      }
+    }
+
+    let nextSeq = [...existing.values()].reduce((max, row) => Math.max(max, row.seq), -1) + 1;
+    const upsert = this.db.prepare(`
+      INSERT INTO ${table} (scope, id, seq, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT(scope, id) DO UPDATE SET seq = excluded.seq, data = excluded.data
+    `);
+
+    items.forEach((item, position) => {
+      const row = existing.get(keys[position]);
+      const seq = !inOrder ? position : row ? row.seq : nextSeq++;
+      const data = JSON.stringify(item);
+      if (!row || row.seq !== seq || row.data !== data) {
+        upsert.run(scope, keys[position], seq, data);
+      }
+    });
+
+    const kept = new Set(keys);
+    const remove = this.db.prepare(`DELETE FROM ${table} WHERE scope = ? AND id = ?`);
+    for (const id of existing.keys()) {
+      if (!kept.has(id)) {
+        remove.run(scope, id);
+      }
+    }
+  }
+
+  /**
+   * 按前缀保存所有数据范围，删除不再存在的范围
+   */
+  saveRowsByPrefix(table, prefix, map) {
+    this.db.transaction(() => {
+      for (const [key, items] of Object.entries(map)) {
+        this.saveRows(table, prefix + key, items || []);
+      }
+
+      const scopes = this.db.prepare(`SELECT DISTINCT scope FROM ${table} WHERE scope LIKE ?`).all(prefix + '%');
+      for (const { scope } of scopes) {
+        if (!Object.prototype.hasOwnProperty.call(map, scope.slice(prefix.length))) {
+          this.db.prepare(`DELETE FROM ${table} WHERE scope = ?`).run(scope);
+        }
+      }
+    })();
+  }
+
+  /**
+   * 创建备份
+   */
+  async createBackup() {
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupPath = path.join(this.backupDir, `backup_${timestamp}`);
+
+      await this.ensureDirectory(backupPath);
+      await this.db.backup(path.join(backupPath, 'concrete.db'));
+
+      console.log(`✅ 备份创建成功: ${backupPath}`);
+      return backupPath;
+    } catch (error) {
+      console.error('❌ 备份创建失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * SQLite 备份包含 concrete.db
+   */
+  isBackupCompatible(files) {
+    return files.includes('concrete.db');
+  }
+
+  /**
+   * 恢复备份
+   * 先把备份复制为临时文件再关闭数据库，复制失败时当前数据库保持打开；
+   * 替换文件后无论成功与否都重新打开数据库
+   */
+  async restoreBackup(backupPath) {
+    const restoreFile = this.dbFile + '.restore';
+    const previousFile = this.dbFile + '.previous';
+    try {
+      await fs.copyFile(path.join(backupPath, 'concrete.db'), restoreFile);
+
+      this.close();
+      let restored = false;
+      try {
+        // 保留恢复前的数据库，用于找回审计日志
+        await fs.copyFile(this.dbFile, previousFile);
+        await fs.rename(restoreFile, this.dbFile);
+        restored = true;
+        // 删除旧的 WAL 文件，避免覆盖恢复后的数据
+        await fs.rm(this.dbFile + '-wal', { force: true });
+        await fs.rm(this.dbFile + '-shm', { force: true });
+      } finally {
+        this.open();
+      }
+
+      if (restored) {
+        this.keepAuditLog(previousFile);
+      }
+      console.log(`✅ 备份恢复成功: ${backupPath}`);
+    } catch (error) {
+      console.error('❌ 备份恢复失败:', error.message);
+      throw error;
+    } finally {
+      await fs.rm(restoreFile, { force: true });
+      await fs.rm(previousFile, { force: true });
+    }
+  }
+
+  /**
+   * 审计日志不参与备份恢复：用恢复前数据库中的审计日志替换备份中的审计日志
+   */
+  keepAuditLog(previousFile) {
+    this.db.prepare('ATTACH DATABASE ? AS previous').run(previousFile);
+    try {
+      this.db.transaction(() => {
+        this.db.exec('DELETE FROM audit_log');
+        this.db.exec(`
+          INSERT INTO audit_log (seq, at, username, action, data)
+          SELECT seq, at, username, action, data FROM previous.audit_log
+        `);
+      })();
+    } finally {
+      this.db.exec('DETACH DATABASE previous');
+    }
+  }
+
+  /**
+   * 用户数据操作
+   */
+  async getUsers() {
+    return this.db.prepare('SELECT data FROM users ORDER BY rowid').all().map(row => JSON.parse(row.data));
+  }
+
+  async saveUsers(users) {
+    this.db.transaction(() => {
+      const upsert = this.db.prepare(`
+        INSERT INTO users (username, data) VALUES (?, ?)
+        ON CONFLICT(username) DO UPDATE SET data = excluded.data
+      `);
+      for (const user of users) {
+        upsert.run(user.username, JSON.stringify(user));
+      }
+
+      const usernames = new Set(users.map(u => u.username));
+      for (const { username } of this.db.prepare('SELECT username FROM users').all()) {
+        if (!usernames.has(username)) {
+          this.db.prepare('DELETE FROM users WHERE username = ?').run(username);
+        }
+      }
+    })();
+  }
+
+  async addUser(user) {
+    this.db.prepare('INSERT INTO users (username, data) VALUES (?, ?)').run(user.username, JSON.stringify(user));
+  }
+
+  async updateUser(username, updates) {
+    const row = this.db.prepare('SELECT data FROM users WHERE username = ?').get(username);
+    if (row) {
+      const user = { ...JSON.parse(row.data), ...updates };
+      this.db.prepare('UPDATE users SET data = ? WHERE username = ?').run(JSON.stringify(user), username);
+    }
+  }
+
+  async deleteUser(username) {
+    this.db.prepare('DELETE FROM users WHERE username = ?').run(username);
+  }
+
+  async deleteUserData(username) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM records WHERE scope = ?').run('user:' + username);
+      this.db.prepare('DELETE FROM history WHERE scope = ?').run('user:' + username);
+    })();
+  }
+
+  /**
+   * 用户记录数据操作
+   */
+  async getUserRecords() {
+    return this.getRowsByPrefix('records', 'user:');
+  }
+
+  async saveUserRecords(userRecords) {
+    this.saveRowsByPrefix('records', 'user:', userRecords);
+  }
+
+  async getUserRecordsByUsername(username) {
+    return this.getRows('records', 'user:' + username);
+  }
+
+  async saveUserRecordsByUsername(username, records) {
+    this.db.transaction(() => this.saveRows('records', 'user:' + username, records))();
+  }
+
+  /**
+   * 用户历史数据操作
+   */
+  async getUserHistory() {
+    return this.getRowsByPrefix('history', 'user:');
+  }
+
+  async saveUserHistory(userHistory) {
+    this.saveRowsByPrefix('history', 'user:', userHistory);
+  }
+
+  async getUserHistoryByUsername(username) {
+    return this.getRows('history', 'user:' + username);
+  }
+
+  async saveUserHistoryByUsername(username, history) {
+    this.db.transaction(() => this.saveRows('history', 'user:' + username, history))();
+  }
+
+  /**
+   * 项目数据操作
+   */
+  async getProjects() {
+    return this.db.prepare('SELECT data FROM projects ORDER BY rowid').all().map(row => JSON.parse(row.data));
+  }
+
+  async saveProjects(projects) {
+    this.db.transaction(() => {
+      for (const project of projects) {
+        this.saveProjectRow(project);
+      }
+
+      const ids = new Set(projects.map(p => p.id));
+      for (const { id } of this.db.prepare('SELECT id FROM projects').all()) {
+        if (!ids.has(id)) {
+          this.db.prepare('DELETE FROM projects WHERE id = ?').run(id);
+        }
+      }
+    })();
+  }
+
+  async saveProject(project) {
+    this.saveProjectRow(project);
+  }
+
+  saveProjectRow(project) {
+    this.db.prepare(`
+      INSERT INTO projects (id, data) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data
+    `).run(project.id, JSON.stringify(project));
+  }
+
+  async deleteProject(projectId) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM projects WHERE id = ?').run(projectId);
+      this.db.prepare('DELETE FROM records WHERE scope = ?').run('project:' + projectId);
+      this.db.prepare('DELETE FROM history WHERE scope = ?').run('project:' + projectId);
+    })();
+  }
+
+  async getSessions() {
+    return this.db.prepare('SELECT data FROM sessions ORDER BY rowid').all().map(row => JSON.parse(row.data));
+  }
+
+  async saveSessions(sessions) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM sessions').run();
+      const insert = this.db.prepare('INSERT INTO sessions (id, data) VALUES (?, ?)');
+      for (const session of sessions) {
+        insert.run(session.id, JSON.stringify(session));
+      }
+    })();
+  }
+
+  async saveSession(session) {
+    this.db.prepare(`
+      INSERT INTO sessions (id, data) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data
+    `).run(session.id, JSON.stringify(session));
+  }
+
+  /**
+   * 回收站操作
+   */
+  async getTrash() {
+    return this.db.prepare('SELECT data FROM trash ORDER BY rowid').all().map(row => JSON.parse(row.data));
+  }
+
+  async saveTrashItem(item) {
+    this.db.prepare(`
+      INSERT INTO trash (id, data) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data
+    `).run(item.id, JSON.stringify(item));
+  }
+
+  async deleteTrashItems(ids) {
+    this.db.transaction(() => {
+      const remove = this.db.prepare('DELETE FROM trash WHERE id = ?');
+      for (const id of ids) {
+        remove.run(id);
+      }
+    })();
+  }
+
+  /**
+   * 审计日志：保存在 audit_log 表中，只追加不修改
+   */
+  async appendAuditLog(entry) {
+    this.insertAuditEntry(entry);
+  }
+
+  insertAuditEntry(entry) {
+    this.db.prepare('INSERT INTO audit_log (at, username, action, data) VALUES (?, ?, ?, ?)')
+      .run(entry.at, entry.username, entry.action, JSON.stringify(entry));
+  }
+
+  /**
+   * 查询审计日志（按时间倒序），filters: { username, actions, dateFrom, dateTo, offset, limit }
+   */
+  async queryAuditLog(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.username) {
+      conditions.push('username = ?');
+      params.push(filters.username);
+    }
+    if (filters.actions) {
+      conditions.push(`action IN (${filters.actions.map(() => '?').join(', ')})`);
+      params.push(...filters.actions);
+    }
+    if (filters.dateFrom) {
+      conditions.push('at >= ?');
+      params.push(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+      conditions.push('at <= ?');
+      params.push(filters.dateTo);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM audit_log ${where}`).get(...params);
+    const entries = this.db.prepare(`SELECT data FROM audit_log ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`)
+      .all(...params, filters.limit || -1, filters.offset || 0)
+      .map(row => JSON.parse(row.data));
+    return { entries, total };
+  }
+
+  /**
+   * 审计日志表为空时导入旧的 audit.log 文件
+   */
+  async migrateAuditLog() {
+    if (this.db.prepare('SELECT 1 FROM audit_log LIMIT 1').get()) {
+      return;
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(path.join(this.dataDir, 'audit.log'), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const entries = content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    this.db.transaction(() => {
+      for (const entry of entries) {
+        this.insertAuditEntry(entry);
+      }
+    })();
+    console.log(`✅ 迁移 ${entries.length} 条审计日志`);
+  }
+
+  async getProjectRecords() {
+    return this.getRowsByPrefix('records', 'project:');
+  }
+
+  async saveProjectRecords(projectRecords) {
+    this.saveRowsByPrefix('records', 'project:', projectRecords);
+  }
+
+  async saveProjectRecordsById(projectId, records) {
+    this.db.transaction(() => this.saveRows('records', 'project:' + projectId, records))();
+  }
+
+  async getProjectHistory() {
+    return this.getRowsByPrefix('history', 'project:');
+  }
+
+  async saveProjectHistory(projectHistory) {
+    this.saveRowsByPrefix('history', 'project:', projectHistory);
+  }
+
+  async saveProjectHistoryById(projectId, history) {
+    this.db.transaction(() => this.saveRows('history', 'project:' + projectId, history))();
+  }
+
+  /**
+   * 管理员账户数据操作
+   */
+  async getAdminAccount() {
+    return this.getMeta('adminAccount') || this.getDefaultData('adminAccount.json');
+  }
+
+  async saveAdminAccount(adminAccount) {
+    this.setMeta('adminAccount', adminAccount);
+  }
+
+  /**
+   * 系统设置数据操作
+   */
+  async getSystemSettings() {
+    const settings = this.getMeta('systemSettings') || {};
+    return { ...this.getDefaultData('systemSettings.json'), ...settings };
+  }
+
+  async saveSystemSettings(settings) {
+    this.setMeta('systemSettings', settings);
+  }
+
+  /**
+   * 从 data/*.json 文件迁移数据（只执行一次）
+   */
+  async migrateFromFiles() {
+    const fileDb = new FileDatabase(this.dataDir);
+    const files = await fs.readdir(this.dataDir);
+
+    if (files.includes('users.json')) {
+      console.log('🔄 发现JSON数据文件，迁移到SQLite...');
+      const adminAccount = files.includes('adminAccount.json') ? await fileDb.getAdminAccount() : null;
+      const systemSettings = files.includes('systemSettings.json') ? await fileDb.getSystemSettings() : null;
+
+      await this.migrateFromMemory({
+        users: await fileDb.getUsers(),
+        userRecords: await fileDb.getUserRecords(),
+        userHistory: await fileDb.getUserHistory(),
+        projects: await fileDb.getProjects(),
+        projectRecords: await fileDb.getProjectRecords(),
+        projectHistory: await fileDb.getProjectHistory(),
+        trash: await fileDb.getTrash(),
+        sessions: await fileDb.getSessions(),
+        adminAccount,
+        systemSettings
+      });
+    }
+
+    // 没有旧数据时写入默认的管理员账户
+    if (!this.getMeta('adminAccount')) {
+      await this.saveAdminAccount(this.getDefaultData('adminAccount.json'));
+    }
+
+    this.setMeta('migratedAt', new Date().toISOString());
+  }
+
+  /**
+   * 数据迁移（整体在一个事务中完成，失败时不会留下部分数据）
+   */
+  async migrateFromMemory(memoryData) {
+    this.db.exec('BEGIN');
+    try {
+      await super.migrateFromMemory(memoryData);
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+}
+
+module.exports = SqliteDatabase;
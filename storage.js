@@ -0,0 +1,83 @@
+const FileDatabase = require('./database');
+
+/**
+ * 存储适配器
+ * 通过环境变量 DB_DRIVER 选择存储后端：sqlite（默认）或 file（JSON 文件）
+ * 所有后端都需实现以下方法，server.js 只通过这些方法读写数据
+ */
+const STORAGE_METHODS = [
+  'initialize',
+  'createBackup',
+  'restoreBackup',
+  'cleanupOldBackups',
+  'listBackups',
+  'getBackupPath',
+  'archiveBackup',
+  'getDefaultData',
+  'getUsers',
+  'saveUsers',
+  'addUser',
+  'updateUser',
+  'deleteUser',
+  'deleteUserData',
+  'getUserRecords',
+  'saveUserRecords',
+  'getUserRecordsByUsername',
+  'saveUserRecordsByUsername',
+  'getUserHistory',
+  'saveUserHistory',
+  'getUserHistoryByUsername',
+  'saveUserHistoryByUsername',
+  'getProjects',
+  'saveProjects',
+  'saveProject',
+  'deleteProject',
+  'getProjectRecords',
+  'saveProjectRecords',
+  'saveProjectRecordsById',
+  'getProjectHistory',
+  'saveProjectHistory',
+  'saveProjectHistoryById',
+  'getSessions',
+  'saveSessions',
+  'saveSession',
+  'getTrash',
+  'saveTrashItem',
+  'deleteTrashItems',
+  'appendAuditLog',
+  'queryAuditLog',
+  'getAdminAccount',
+  'saveAdminAccount',
+  'getSystemSettings',
+  'saveSystemSettings',
+  'migrateFromMemory',
+  'getDataStats'
+];
+
+/**
+ * 创建存储实例
+ */
+function createDatabase(driver = process.env.DB_DRIVER || 'sqlite', dataDir = './data') {
+  let db;
+  switch (driver) {
+    case 'sqlite': {
+      // 按需加载，使用 JSON 文件存储时不依赖 SQLite 原生模块
+      const SqliteDatabase = require('./sqlite-database');
+      db = new SqliteDatabase(dataDir);
+      break;
+    }
+    case 'file':
+      db = new FileDatabase(dataDir);
+      break;
+    default:
+      throw new Error(`不支持的存储类型: ${driver}`);
+  }
+
+  const missing = STORAGE_METHODS.filter(method => typeof db[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`存储适配器缺少方法: ${missing.join(', ')}`);
+  }
+  return db;
+}
+
+module.exports = { createDatabase, STORAGE_METHODS };
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const SqliteDatabase = require('../sqlite-database');
+const { startServer } = require('./helpers/server');
+
+// 旧版 JSON 文件存储创建的备份
+const JSON_BACKUP = 'backup_2025-08-08T06-57-30-888Z';
+const RECORD = { part: '1F', type: '梁', grade: 'C30', number: 'L1', height: 0.5, thick: 0.2, length: 10, count: 1 };
+
+function seedJsonBackup(dataDir) {
+  const backupPath = path.join(dataDir, 'backups', JSON_BACKUP);
+  fs.mkdirSync(backupPath, { recursive: true });
+  for (const file of ['users.json', 'userRecords.json', 'userHistory.json']) {
+    fs.writeFileSync(path.join(backupPath, file), file === 'users.json' ? '[]' : '{}');
+  }
+}
+
+test('SQLite 备份文件不存在时恢复失败，数据库保持可用', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'concrete-test-'));
+  const db = new SqliteDatabase(dataDir);
+  try {
+    await db.initialize();
+    await db.addUser({ username: 'alice', password: 'x' });
+
+    const backupPath = path.join(dataDir, 'backups', JSON_BACKUP);
+    fs.mkdirSync(backupPath, { recursive: true });
+    await assert.rejects(db.restoreBackup(backupPath), { code: 'ENOENT' });
+
+    await db.addUser({ username: 'bob', password: 'x' });
+    assert.deepEqual((await db.getUsers()).map(u => u.username), ['alice', 'bob']);
+  } finally {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('SQLite 存储不显示也不能恢复 JSON 文件备份', async () => {
+  const server = await startServer({ seed: seedJsonBackup });
+  try {
+    const adminToken = await server.loginAdmin();
+    const token = await server.createUser(adminToken, 'alice');
+
+    const list = await server.request('GET', '/admin/backups', { token: adminToken });
+    assert.equal(list.status, 200);
+    assert.ok(!list.data.backups.some(b => b.name === JSON_BACKUP));
+
+    const restore = await server.request('POST', `/admin/backups/${JSON_BACKUP}/restore`, { token: adminToken });
+    assert.equal(restore.status, 404);
+
+    const created = await server.request('POST', '/records', { token, body: RECORD });
+    assert.equal(created.status, 201);
+    const records = await server.request('GET', '/records', { token });
+    assert.equal(records.data.length, 1);
+  } finally {
+    await server.stop();
+  }
+});
+
+for (const driver of ['sqlite', 'file']) {
+  test(`${driver} 存储恢复备份后数据回到备份时的状态`, async () => {
+    const server = await startServer({ driver, seed: driver === 'sqlite' ? seedJsonBackup : undefined });
+    try {
+      const adminToken = await server.loginAdmin();
+      const token = await server.createUser(adminToken, 'alice');
+      await server.request('POST', '/records', { token, body: RECORD });
+
+      const backup = await server.request('POST', '/admin/backups', { token: adminToken });
+      assert.equal(backup.status, 201);
+      await server.request('POST', '/records', { token, body: { ...RECORD, number: 'L2' } });
+
+      const restore = await server.request('POST', `/admin/backups/${backup.data.backup.name}/restore`, { token: adminToken });
+      assert.equal(restore.status, 200);
+
+      // 会话保持有效，恢复后可以继续写入
+      let records = await server.request('GET', '/records', { token });
+      assert.deepEqual(records.data.map(r => r.number), ['L1']);
+      assert.equal((await server.request('POST', '/records', { token, body: { ...RECORD, number: 'L3' } })).status, 201);
+      records = await server.request('GET', '/records', { token });
+      assert.deepEqual(records.data.map(r => r.number), ['L1', 'L3']);
+
+      // 备份列表只包含当前存储后端的备份（其中一个为恢复前的自动备份）
+      const list = await server.request('GET', '/admin/backups', { token: adminToken });
+      assert.ok(list.data.backups.some(b => b.name === restore.data.safetyBackup));
+      assert.ok(!list.data.backups.some(b => b.name === JSON_BACKUP));
+    } finally {
+      await server.stop();
+    }
+  });
+}
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FormulaRegistry = require('../formulas');
+
+// 形状公式
+test('各形状按尺寸计算体积（单件体积 × 数量，保留3位小数）', () => {
+  const formulas = new FormulaRegistry();
+  const cases = [
+    [{ type: '墙', shape: 'rect', height: 3, thick: 0.2, length: 5, count: 2 }, 6],
+    [{ type: '柱', shape: 'circle', diameter: 0.6, height: 3, count: 1 }, 0.848],
+    [{ type: '板', shape: 'slab', area: 20, thick: 0.12, count: 1 }, 2.4],
+    [{ type: '梁', shape: 'beam', height: 0.6, thick: 0.3, length: 5, slabThick: 0.1, count: 1 }, 0.75],
+    [{ type: '基础', shape: 'trapezoid', bottomLength: 2, bottomWidth: 2, topLength: 1, topWidth: 1, height: 0.6, count: 1 }, 1.4],
+    [{ type: '基础', shape: 'stepped', steps: [{ length: 2, width: 2, height: 0.3 }, { length: 1, width: 1, height: 0.3 }], count: 1 }, 1.5]
+  ];
+
+  for (const [record, volume] of cases) {
+    assert.equal(formulas.getDimensionError(record), null, record.shape);
+    assert.equal(formulas.computeVolume(record), volume, record.shape);
+  }
+});
+
+test('旧记录没有 shape 时使用构件类型的默认形状', () => {
+  const formulas = new FormulaRegistry();
+  assert.equal(formulas.resolveShape({ type: '楼梯' }), 'slab');
+  assert.equal(formulas.resolveShape({ type: '未知构件' }), 'rect');
+  assert.equal(formulas.computeVolume({ type: '梁', height: 0.5, thick: 0.2, length: 10, count: 1 }), 1);
+});
+
+test('校验构件类型不支持的形状及不合法的尺寸', () => {
+  const formulas = new FormulaRegistry();
+  assert.equal(formulas.getDimensionError({ type: '墙', shape: 'circle', diameter: 1, height: 1 }), '该构件类型不支持所选形状');
+  assert.equal(formulas.getDimensionError({ type: '柱', shape: 'circle', diameter: 0, height: 3 }), '直径必须大于0且不超过100');
+  assert.equal(formulas.getDimensionError({ type: '梁', shape: 'beam', height: 0.5, thick: 0.3, length: 5, slabThick: 0.5 }), '板厚必须小于梁高');
+  assert.equal(formulas.getDimensionError({ type: '基础', shape: 'stepped', steps: [] }), '阶梯(长×宽×高)必须为1-10阶');
+});
+
+test('提取尺寸时只保留所选形状的字段并转换为数字', () => {
+  const formulas = new FormulaRegistry();
+  const record = { type: '柱', shape: 'circle', diameter: '0.6', height: '3', thick: 0.2 };
+  assert.deepEqual(formulas.pickDimensions(record), { shape: 'circle', diameter: 0.6, height: 3 });
+  assert.deepEqual(formulas.omitDimensions({ part: '1F', ...record }), { part: '1F', type: '柱' });
+});
+
+test('尺寸描述使用构件库中的尺寸名称', () => {
+  const formulas = new FormulaRegistry();
+  assert.equal(formulas.describe({ type: '圈梁', height: 0.24, thick: 0.24, length: 10 }), '梁高0.24 × 梁宽0.24 × 长度10');
+  assert.equal(formulas.describe({ type: '基础', shape: 'stepped', steps: [{ length: 2, width: 2, height: 0.3 }] }), '2×2×0.3');
+});
+
+test('导入导出尺寸列包含各形状的尺寸，同一字段只有一列', () => {
+  const formulas = new FormulaRegistry();
+  assert.deepEqual(
+    formulas.getDimensionColumns().map(field => field.label),
+    ['高度', '厚度', '长度', '直径', '面积', '板厚', '底长', '底宽', '顶长', '顶宽', '阶梯(长×宽×高)']
+  );
+  assert.equal(formulas.findShapeKey('圆形'), 'circle');
+  assert.equal(formulas.findShapeKey('circle'), 'circle');
+  assert.equal(formulas.findShapeKey('椭圆'), null);
+});
+
+test('尺寸单元格的写入与读取', () => {
+  const formulas = new FormulaRegistry();
+  const [stepsField] = formulas.getShape('stepped').fields;
+  const steps = [{ length: 2, width: 2, height: 0.3 }, { length: 1, width: 1, height: 0.3 }];
+  assert.equal(formulas.formatDimension(stepsField, steps), '2×2×0.3 + 1×1×0.3');
+  assert.deepEqual(formulas.parseDimension(stepsField, '2×2×0.3 + 1x1x0.3'), steps);
+  assert.deepEqual(formulas.parseDimension(stepsField, '2×2×0.3; 1×1×0.3'), steps);
+  assert.deepEqual(formulas.parseDimension(stepsField, ''), []);
+
+  const [heightField] = formulas.getShape('rect').fields;
+  assert.equal(formulas.parseDimension(heightField, '3'), 3);
+  assert.ok(Number.isNaN(formulas.parseDimension(heightField, '')));
+});
+
+// 扣减项
+test('扣减体积按单个构件扣减量 × 构件数量计算，厚度留空取构件厚度', () => {
+  const formulas = new FormulaRegistry();
+  const record = {
+    type: '墙', height: 3, thick: 0.2, length: 5, count: 2,
+    deductions: [{ name: '门洞', width: 1, height: 2, thick: null, count: 1 }, { name: '洞口', width: 0.5, height: 0.5, thick: 0.1, count: 2 }]
+  };
+  assert.equal(formulas.getDeductionError(record), null);
+  assert.equal(formulas.computeVolume(record), 6);
+  assert.equal(formulas.computeDeductionVolume(record), 0.9);
+});
+
+test('扣减项校验', () => {
+  const formulas = new FormulaRegistry();
+  const wall = { type: '墙', height: 3, thick: 0.2, length: 5, count: 1 };
+  const slab = { type: '板', shape: 'slab', area: 10, thick: 0.1, count: 1 };
+  assert.equal(formulas.getDeductionError({ ...wall, deductions: [{ width: 10, height: 10, count: 1 }] }), '扣减体积不能超过构件体积');
+  assert.equal(formulas.getDeductionError({ ...wall, deductions: [{ name: '门,窗', width: 1, height: 1, count: 1 }] }), '扣减项名称不能超过50个字符且不能包含特殊字符、逗号或分号');
+  assert.equal(formulas.getDeductionError({ ...wall, deductions: [{ width: 0, height: 1, count: 1 }] }), '扣减项宽、高必须大于0且不超过1000');
+  assert.equal(formulas.getDeductionError({ type: '柱', shape: 'circle', diameter: 1, height: 3, count: 1, deductions: [{ width: 0.2, height: 0.2, count: 1 }] }), '该构件没有厚度，扣减项必须填写厚度');
+  assert.equal(formulas.getDeductionError({ ...slab, deductions: [{ width: 1, height: 1, count: 1 }] }), null);
+});
+
+test('扣减项文本的写入与读取（与录入界面格式一致）', () => {
+  const formulas = new FormulaRegistry();
+  const deductions = [{ name: '门洞', width: 1, height: 2.1, thick: null, count: 1 }, { name: '窗洞', width: 1.5, height: 1.5, thick: 0.2, count: 2 }];
+  assert.equal(formulas.formatDeductions(deductions), '门洞,1,2.1,,1; 窗洞,1.5,1.5,0.2,2');
+  assert.deepEqual(formulas.parseDeductions('门洞,1,2.1,,1; 窗洞，1.5，1.5，0.2，2'), deductions);
+  assert.deepEqual(formulas.parseDeductions('洞口,1,1'), [{ name: '洞口', width: 1, height: 1, thick: null, count: 1 }]);
+  assert.deepEqual(formulas.parseDeductions(''), []);
+  assert.equal(formulas.parseDeductions('门洞,1'), null);
+});
+
+// 模板面积及含钢量
+test('模板面积按构件类型的模板规则累加单件各面面积 × 数量', () => {
+  const formulas = new FormulaRegistry();
+  const cases = [
+    [{ type: '梁', shape: 'beam', height: 0.6, thick: 0.3, length: 5, slabThick: 0.1, count: 1 }, 6.5],
+    [{ type: '板', shape: 'slab', area: 20, thick: 0.12, count: 1 }, 20],
+    [{ type: '墙', shape: 'rect', height: 3, thick: 0.2, length: 5, count: 2 }, 60],
+    [{ type: '柱', shape: 'rect', height: 3, thick: 0.4, length: 0.5, count: 1 }, 5.4],
+    [{ type: '柱', shape: 'circle', diameter: 0.6, height: 3, count: 1 }, 5.655],
+    [{ type: '基础', shape: 'trapezoid', bottomLength: 2, bottomWidth: 2, topLength: 1, topWidth: 1, height: 0.6, count: 1 }, 3.6],
+    [{ type: '基础', shape: 'stepped', steps: [{ length: 2, width: 2, height: 0.3 }, { length: 1, width: 1, height: 0.3 }], count: 1 }, 3.6],
+    [{ type: '垫层', shape: 'slab', area: 20, thick: 0.1, count: 1 }, 0],
+    [{ type: '未知构件', height: 3, thick: 0.2, length: 5, count: 1 }, 0]
+  ];
+
+  for (const [record, area] of cases) {
+    assert.equal(formulas.computeFormworkArea(record), area, `${record.type} ${record.shape}`);
+  }
+});
+
+test('含钢量优先使用强度等级的设置，钢筋重量按净体积计算', () => {
+  const formulas = new FormulaRegistry();
+  assert.equal(formulas.getRebarRatio('梁', 'C30'), 130);
+  assert.equal(formulas.getRebarRatio('垫层', 'C15'), 0);
+  assert.equal(formulas.getRebarRatio('未知构件', 'C30'), 0);
+  assert.equal(formulas.computeRebarWeight({ type: '梁', grade: 'C30', volume: 1.5 }), 0.195);
+
+  const catalog = formulas.getDefaultCatalog();
+  const beam = catalog.find(item => item.type === '梁');
+  beam.gradeRebarRatios = { C40: 150 };
+  beam.formwork = 'unknown';
+  formulas.setCatalog(catalog);
+
+  assert.equal(formulas.getRebarRatio('梁', 'C40'), 150);
+  assert.equal(formulas.getRebarRatio('梁', 'C30'), 130);
+  assert.equal(formulas.getRebarRatio('梁'), 130);
+  assert.equal(formulas.computeRebarWeight({ type: '梁', grade: 'C40', volume: 2 }), 0.3);
+  // 构件库中不存在的模板规则不计算模板面积
+  assert.equal(formulas.computeFormworkArea({ type: '梁', height: 0.6, thick: 0.3, length: 5, count: 1 }), 0);
+});
@@ -0,0 +1,122 @@
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const STARTUP_TIMEOUT = 20000;
+
+/**
+ * 获取一个空闲端口
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * 在临时数据目录中启动服务器，等待数据库初始化完成
+ * options: { driver: 'sqlite' | 'file', env, seed(dataDir) 启动前准备数据 }
+ */
+async function startServer({ driver = 'sqlite', env = {}, seed } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'concrete-test-'));
+  if (seed) await seed(dataDir);
+
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), JWT_SECRET: 'test-secret', DB_DRIVER: driver, DATA_DIR: dataDir, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`服务器启动超时:\n${output}`)), STARTUP_TIMEOUT);
+    const check = () => {
+      if (output.includes('数据库初始化完成')) {
+        clearTimeout(timer);
+        child.stdout.off('data', check);
+        resolve();
+      }
+    };
+    child.stdout.on('data', check);
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`服务器启动失败（退出码 ${code}）:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  /**
+   * 发送请求，返回 { status, data, headers }（JSON 响应解析为对象，其他为 Buffer）
+   * options: { token, body, raw, type, headers }，raw 为原始请求体（导入文件）
+   */
+  async function request(method, url, { token, body, raw, type, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = token;
+    if (raw !== undefined) {
+      init.body = raw;
+      init.headers['Content-Type'] = type || 'application/octet-stream';
+    } else if (body !== undefined) {
+      init.body = JSON.stringify(body);
+      init.headers['Content-Type'] = 'application/json';
+    }
+
+    const res = await fetch(baseUrl + url, init);
+    const contentType = res.headers.get('content-type') || '';
+    const data = contentType.includes('json') ? await res.json() : Buffer.from(await res.arrayBuffer());
+    return { status: res.status, data, headers: res.headers };
+  }
+
+  /**
+   * 管理员登录，返回令牌（默认管理员 admin/admin）
+   */
+  async function loginAdmin(username = 'admin', password = 'admin') {
+    const res = await request('POST', '/admin/login', { body: { username, password } });
+    if (res.status !== 200) throw new Error(`管理员登录失败: ${JSON.stringify(res.data)}`);
+    return res.data.token;
+  }
+
+  /**
+   * 由管理员创建用户并登录，返回令牌
+   */
+  async function createUser(adminToken, username, password = 'secret1') {
+    const created = await request('POST', '/admin/users', { token: adminToken, body: { username, password } });
+    if (created.status !== 201) throw new Error(`创建用户失败: ${JSON.stringify(created.data)}`);
+    return login(username, password);
+  }
+
+  async function login(username, password) {
+    const res = await request('POST', '/login', { body: { username, password } });
+    if (res.status !== 200) throw new Error(`用户登录失败: ${JSON.stringify(res.data)}`);
+    return res.data.token;
+  }
+
+  /**
+   * 停止服务器并删除临时数据目录
+   */
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, dataDir, request, loginAdmin, createUser, login, stop, getOutput: () => output };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { startServer } = require('./helpers/server');
+
+// 每种形状各一条记录
+const SHAPE_RECORDS = [
+  { part: '1F', type: '墙', number: 'Q1', grade: 'C30', shape: 'rect', height: 3, thick: 0.2, length: 5, count: 2 },
+  { part: '1F', type: '柱', number: 'Z1', grade: 'C35', shape: 'circle', diameter: 0.6, height: 3, count: 1 },
+  { part: '1F', type: '板', number: 'B1', grade: 'C30', shape: 'slab', area: 20, thick: 0.12, count: 1 },
+  { part: '1F', type: '梁', number: 'L1', grade: 'C30', shape: 'beam', height: 0.6, thick: 0.3, length: 5, slabThick: 0.1, count: 3 },
+  { part: '基础', type: '基础', number: 'J1', shape: 'trapezoid', bottomLength: 2, bottomWidth: 2, topLength: 1, topWidth: 1, height: 0.6, count: 1 },
+  { part: '基础', type: '基础', number: 'J2', shape: 'stepped', steps: [{ length: 2, width: 2, height: 0.3 }, { length: 1.2, width: 1.2, height: 0.3 }], count: 4 }
+];
+
+// 带扣减项的记录：毛体积 6 m³，扣减 0.8 m³（门洞厚度取墙厚，预留洞单独填写厚度），净体积 5.2 m³
+const DEDUCTION_RECORD = {
+  part: '2F', type: '墙', number: 'Q2', grade: 'C30', shape: 'rect', height: 3, thick: 0.2, length: 5, count: 2,
+  deductions: [{ name: '门洞', width: 1, height: 1.5, count: 1 }, { name: '预留洞', width: 0.5, height: 0.5, thick: 0.4, count: 1 }]
+};
+
+// 比较导入前后的记录：形状、尺寸及计算结果一致
+const COMPARED_FIELDS = [
+  'part', 'type', 'number', 'grade', 'shape', 'height', 'thick', 'length', 'diameter', 'area', 'slabThick',
+  'bottomLength', 'bottomWidth', 'topLength', 'topWidth', 'steps', 'count', 'grossVolume', 'deductionVolume', 'volume', 'deductions'
+];
+
+function pick(record) {
+  const result = {};
+  for (const key of COMPARED_FIELDS) {
+    if (record[key] !== undefined) result[key] = record[key];
+  }
+  return result;
+}
+
+/**
+ * 添加记录，按格式导出后预览导入，返回 { original, imported }
+ */
+async function roundTrip(server, token, records, format) {
+  for (const record of records) {
+    const res = await server.request('POST', '/records', { token, body: record });
+    assert.equal(res.status, 201, JSON.stringify(res.data));
+  }
+  const original = (await server.request('GET', '/records', { token })).data;
+
+  const exported = await server.request('GET', `/export?format=${format}`, { token });
+  assert.equal(exported.status, 200);
+
+  // JSON 导出已解析为对象，按 JSON 请求体提交；其他格式提交原始文件
+  const upload = Buffer.isBuffer(exported.data) ? { raw: exported.data } : { body: exported.data };
+  const imported = await server.request('POST', `/import?format=${format}&dryRun=true`, { token, ...upload });
+  assert.equal(imported.status, 200, JSON.stringify(imported.data));
+  assert.deepEqual(imported.data.errors, []);
+  return { original, imported: imported.data.records };
+}
+
+test('Excel 导出的每种形状记录可以原样导入', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    const { original, imported } = await roundTrip(server, token, SHAPE_RECORDS, 'xlsx');
+
+    assert.equal(imported.length, SHAPE_RECORDS.length);
+    assert.deepEqual(imported.map(pick), original.map(pick));
+  } finally {
+    await server.stop();
+  }
+});
+
+test('扣减项随“混凝土量”工作表导出并导入', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    const { original, imported } = await roundTrip(server, token, [DEDUCTION_RECORD], 'xlsx');
+
+    assert.equal(original[0].grossVolume, 6);
+    assert.equal(original[0].deductionVolume, 0.8);
+    assert.equal(original[0].volume, 5.2);
+    assert.deepEqual(imported.map(pick), original.map(pick));
+  } finally {
+    await server.stop();
+  }
+});
+
+test('缺少扣减列但有扣减体积的行不能导入', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    const csv = '部位,构件,编号,形状,高度,厚度,长度,数量,扣减体积\r\n1F,墙,Q1,矩形,3,0.2,5,2,0.8\r\n1F,墙,Q2,矩形,3,0.2,5,1,0\r\n';
+    const res = await server.request('POST', '/import?format=csv&dryRun=true', { token, raw: Buffer.from(csv), type: 'text/csv' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.data.errors, [{ row: 2, message: '有扣减体积但缺少扣减列，无法还原扣减项' }]);
+    assert.equal(res.data.validCount, 1);
+  } finally {
+    await server.stop();
+  }
+});
+
+for (const encoding of ['utf8', 'gbk']) {
+  test(`CSV（${encoding}）导出的形状尺寸及扣减项可以原样导入`, async () => {
+    const server = await startServer();
+    try {
+      const token = await server.createUser(await server.loginAdmin(), 'alice');
+      const { original, imported } = await roundTrip(server, token, [...SHAPE_RECORDS, DEDUCTION_RECORD], `csv&encoding=${encoding}`);
+
+      assert.equal(imported.length, SHAPE_RECORDS.length + 1);
+      assert.deepEqual(imported.map(pick), original.map(pick));
+    } finally {
+      await server.stop();
+    }
+  });
+}
+
+test('JSON 导出的记录可以原样导入', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    const { original, imported } = await roundTrip(server, token, [...SHAPE_RECORDS, DEDUCTION_RECORD], 'json');
+
+    assert.deepEqual(imported.map(pick), original.map(pick));
+  } finally {
+    await server.stop();
+  }
+});
+
+test('按强度等级汇总与模板及钢筋汇总的构件数都按构件数量合计', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    for (const record of SHAPE_RECORDS.slice(0, 2)) {
+      assert.equal((await server.request('POST', '/records', { token, body: record })).status, 201);
+    }
+
+    const stats = await server.request('GET', '/stats', { token });
+    assert.deepEqual(stats.data.grades.map(g => [g.grade, g.count]), [['C30', 2], ['C35', 1]]);
+
+    const exported = await server.request('GET', '/export?format=xlsx', { token });
+    const workbook = XLSX.read(exported.data, { type: 'buffer' });
+    for (const name of ['按强度等级汇总', '模板及钢筋汇总']) {
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 });
+      const header = rows.find(row => row.includes('构件数'));
+      const total = rows.find(row => row[0] === '合计');
+      assert.equal(total[header.indexOf('构件数')], 3, name);
+    }
+  } finally {
+    await server.stop();
+  }
+});
+
+test('部位名称与固定工作表同名时 Excel 导出仍可原样导入', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    const records = [{ ...SHAPE_RECORDS[0], part: '混凝土量' }, { ...SHAPE_RECORDS[1], part: '汇总' }];
+    const { original, imported } = await roundTrip(server, token, records, 'xlsx');
+
+    assert.deepEqual(imported.map(pick), original.map(pick));
+
+    const exported = await server.request('GET', '/export?format=xlsx', { token });
+    const { SheetNames } = XLSX.read(exported.data, { type: 'buffer' });
+    assert.ok(SheetNames.includes('混凝土量(2)') && SheetNames.includes('汇总(2)'));
+    assert.equal(SheetNames[SheetNames.length - 1], '混凝土量');
+  } finally {
+    await server.stop();
+  }
+});
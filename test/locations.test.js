@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const RECORD = { part: '1F', type: '梁', grade: 'C30', number: 'L1', height: 0.5, thick: 0.2, length: 10, count: 1 };
+
+test('重命名部位层级时更新关联记录的部位、修改人，并在审计日志中记录每条记录', async () => {
+  const server = await startServer();
+  try {
+    const adminToken = await server.loginAdmin();
+    const token = await server.createUser(adminToken, 'alice');
+
+    const building = (await server.request('POST', '/locations', { token, body: { name: '1号楼' } })).data.location;
+    const floor = (await server.request('POST', '/locations', { token, body: { name: '1F', parentId: building.id } })).data.location;
+    const linked = (await server.request('POST', '/records', { token, body: { ...RECORD, locationId: floor.id } })).data.record;
+    const other = (await server.request('POST', '/records', { token, body: { ...RECORD, number: 'L2' } })).data.record;
+    assert.equal(linked.part, '1号楼/1F');
+
+    const renamed = await server.request('PUT', `/locations/${building.id}`, { token, body: { name: '2号楼' } });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.data.updatedCount, 1);
+
+    const record = (await server.request('GET', `/records/${linked.id}`, { token })).data;
+    assert.equal(record.part, '2号楼/1F');
+    assert.equal(record.version, 2);
+    assert.equal(record.updatedBy, 'alice');
+    assert.ok(record.updatedAt >= linked.createdAt);
+    assert.equal((await server.request('GET', `/records/${other.id}`, { token })).data.version, 1);
+
+    const audit = await server.request('GET', '/admin/audit?action=location.update', { token: adminToken });
+    assert.equal(audit.data.entries.length, 1);
+    assert.deepEqual(audit.data.entries[0].before, { name: '1号楼', records: [{ id: linked.id, part: '1号楼/1F' }] });
+    assert.deepEqual(audit.data.entries[0].after, { name: '2号楼', records: [{ id: linked.id, part: '2号楼/1F' }] });
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+const PasswordHasher = require('../password-hasher');
+const { startServer } = require('./helpers/server');
+
+// 旧版哈希：SHA-256(密码 + JWT_SECRET)，没有 hashVersion 字段
+const legacyHash = (password, secret) => crypto.createHash('sha256').update(password + secret).digest('hex');
+
+test('校验旧版哈希需要旧密钥，校验通过后需要重新哈希', async () => {
+  const account = { username: 'alice', password: legacyHash('secret1', 'old-secret') };
+
+  assert.equal(await new PasswordHasher({ legacySecret: 'old-secret' }).verify('secret1', account), true);
+  assert.equal(await new PasswordHasher({ legacySecret: 'old-secret' }).verify('wrong', account), false);
+  assert.equal(await new PasswordHasher({ legacySecret: 'other-secret' }).verify('secret1', account), false);
+
+  const hasher = new PasswordHasher({ legacySecret: 'old-secret' });
+  assert.equal(hasher.needsRehash(account), true);
+  const upgraded = await hasher.create('secret1');
+  assert.equal(upgraded.hashVersion, 2);
+  assert.equal(hasher.needsRehash(upgraded), false);
+  assert.equal(await hasher.verify('secret1', upgraded), true);
+});
+
+// 读取保存在存储中的用户
+function readStoredUser(driver, dataDir, username) {
+  if (driver === 'file') {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8')).find(u => u.username === username);
+  }
+  const db = new Database(path.join(dataDir, 'concrete.db'), { readonly: true });
+  try {
+    return JSON.parse(db.prepare('SELECT data FROM users WHERE username = ?').get(username).data);
+  } finally {
+    db.close();
+  }
+}
+
+for (const driver of ['sqlite', 'file']) {
+  test(`${driver} 存储中旧版哈希的用户登录后升级为 scrypt 哈希`, async () => {
+    const seed = dataDir => {
+      const users = [{ username: 'alice', password: legacyHash('secret1', 'test-secret'), createdAt: '2024-01-01T00:00:00.000Z' }];
+      fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify(users));
+    };
+    const server = await startServer({ driver, seed });
+    try {
+      assert.equal((await server.request('POST', '/login', { body: { username: 'alice', password: 'wrong1' } })).status, 401);
+      assert.equal(readStoredUser(driver, server.dataDir, 'alice').hashVersion, undefined);
+
+      const token = await server.login('alice', 'secret1');
+      assert.equal((await server.request('GET', '/records', { token })).status, 200);
+
+      const stored = readStoredUser(driver, server.dataDir, 'alice');
+      assert.equal(stored.hashVersion, 2);
+      assert.match(stored.password, /^scrypt\$/);
+
+      // 升级后仍可使用原密码登录
+      await server.login('alice', 'secret1');
+    } finally {
+      await server.stop();
+    }
+  });
+}
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const RECORD = { part: '1F', type: '梁', grade: 'C30', number: 'L1', height: 0.5, thick: 0.2, length: 10, count: 1 };
+
+test('已验收浇筑批次中的记录不能修改、删除、清空或被替换导入', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    const verified = (await server.request('POST', '/records', { token, body: RECORD })).data.record;
+    const free = (await server.request('POST', '/records', { token, body: { ...RECORD, number: 'L2' } })).data.record;
+
+    const created = await server.request('POST', '/pours', {
+      token,
+      body: { name: '一层梁', plannedDate: '2025-03-01', recordIds: [verified.id], tickets: [{ number: 'T1', volume: 1.1 }] }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.data));
+    const pourId = created.data.pour.id;
+    assert.equal((await server.request('POST', `/pours/${pourId}/status`, { token, body: { status: 'poured' } })).status, 200);
+    assert.equal((await server.request('POST', `/pours/${pourId}/status`, { token, body: { status: 'verified' } })).status, 200);
+
+    const message = '该记录所在的浇筑批次已验收，不能修改或删除';
+    const updated = await server.request('PUT', `/records/${verified.id}`, { token, body: { ...RECORD, length: 20 } });
+    assert.equal(updated.status, 409);
+    assert.equal(updated.data.message, message);
+    assert.equal((await server.request('PATCH', `/records/${verified.id}`, { token, body: { count: 2 } })).status, 409);
+    assert.equal((await server.request('DELETE', `/records/${verified.id}`, { token })).status, 409);
+
+    const cleared = await server.request('DELETE', '/records', { token });
+    assert.equal(cleared.status, 409);
+    assert.equal(cleared.data.message, '有 1 条记录所在的浇筑批次已验收，不能清空');
+
+    const csv = '部位,构件,编号,形状,高度,厚度,长度,数量\r\n2F,梁,L9,矩形,0.5,0.2,10,1\r\n';
+    const replaced = await server.request('POST', '/import?format=csv&mode=replace', { token, raw: Buffer.from(csv), type: 'text/csv' });
+    assert.equal(replaced.status, 409);
+
+    // 不在已验收批次中的记录可以正常修改
+    assert.equal((await server.request('PUT', `/records/${free.id}`, { token, body: { ...RECORD, number: 'L2', length: 20 } })).status, 200);
+
+    const pour = (await server.request('GET', `/pours/${pourId}`, { token })).data;
+    assert.equal(pour.computedVolume, 1);
+    assert.equal(pour.wasteRate, 10);
+    assert.equal((await server.request('GET', '/records', { token })).data.length, 2);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const RECORD = { part: '1F', type: '梁', grade: 'C30', number: 'L1', height: 0.5, thick: 0.2, length: 10, count: 1 };
+
+test('使用过期版本修改或删除记录时返回409', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    const created = await server.request('POST', '/records', { token, body: RECORD });
+    assert.equal(created.status, 201);
+    const { id } = created.data.record;
+
+    const fetched = await server.request('GET', `/records/${id}`, { token });
+    assert.equal(fetched.headers.get('etag'), '"1"');
+
+    const updated = await server.request('PUT', `/records/${id}`, { token, headers: { 'If-Match': '"1"' }, body: { ...RECORD, length: 12 } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.data.record.version, 2);
+    assert.equal(updated.headers.get('etag'), '"2"');
+
+    // 其他客户端仍使用版本1：If-Match 及请求体中的 version 都会被检查
+    const staleHeader = await server.request('PUT', `/records/${id}`, { token, headers: { 'If-Match': '"1"' }, body: { ...RECORD, length: 8 } });
+    assert.equal(staleHeader.status, 409);
+    assert.equal(staleHeader.data.record.length, 12);
+    assert.equal(staleHeader.headers.get('etag'), '"2"');
+
+    const staleBody = await server.request('PATCH', `/records/${id}`, { token, body: { length: 8, version: 1 } });
+    assert.equal(staleBody.status, 409);
+
+    const staleDelete = await server.request('DELETE', `/records/${id}`, { token, headers: { 'If-Match': '"1"' } });
+    assert.equal(staleDelete.status, 409);
+    assert.equal((await server.request('GET', `/records/${id}`, { token })).data.length, 12);
+
+    // If-Match: * 匹配任意版本
+    const anyVersion = await server.request('PUT', `/records/${id}`, { token, headers: { 'If-Match': '*' }, body: { ...RECORD, length: 15 } });
+    assert.equal(anyVersion.status, 200);
+    assert.equal(anyVersion.data.record.version, 3);
+
+    const removed = await server.request('DELETE', `/records/${id}`, { token, headers: { 'If-Match': '"3"' } });
+    assert.equal(removed.status, 200);
+    assert.equal((await server.request('GET', `/records/${id}`, { token })).status, 404);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('部位名称不能包含查询中用于分隔多个部位的逗号', async () => {
+  const server = await startServer();
+  try {
+    const token = await server.createUser(await server.loginAdmin(), 'alice');
+    const rejected = await server.request('POST', '/records', { token, body: { ...RECORD, part: 'A,B区' } });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.data.message, '部位不能包含逗号');
+    assert.equal((await server.request('POST', '/locations', { token, body: { name: 'A,B栋' } })).status, 400);
+
+    for (const part of ['A区', 'B区', 'C区']) {
+      assert.equal((await server.request('POST', '/records', { token, body: { ...RECORD, part } })).status, 201);
+    }
+    const filtered = await server.request('GET', `/records?part=${encodeURIComponent('A区,C区')}`, { token });
+    assert.deepEqual(filtered.data.records.map(r => r.part), ['A区', 'C区']);
+  } finally {
+    await server.stop();
+  }
+});
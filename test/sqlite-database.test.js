@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+const SqliteDatabase = require('../sqlite-database');
+
+const record = (id, number) => ({ id, number, part: '1F', type: '梁', height: 0.5, thick: 0.2, length: 10, count: 1, version: 1 });
+
+/**
+ * 在临时目录中打开数据库，执行完成后关闭并删除目录
+ */
+async function withDatabase(run, seed) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'concrete-test-'));
+  if (seed) seed(dataDir);
+  const db = new SqliteDatabase(dataDir);
+  try {
+    await db.initialize();
+    await run(db, dataDir);
+  } finally {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+// 执行操作并返回写入的行数
+async function countChanges(db, action) {
+  const totalChanges = () => db.db.prepare('SELECT total_changes() AS n').get().n;
+  const before = totalChanges();
+  await action();
+  return totalChanges() - before;
+}
+
+test('记录按ID存储，修改、删除、新增各只写入一行', async () => {
+  await withDatabase(async db => {
+    const records = [record('a', 'L1'), record('b', 'L2'), record('c', 'L3')];
+    await db.saveUserRecordsByUsername('alice', records);
+
+    records[1] = { ...records[1], length: 12, version: 2 };
+    assert.equal(await countChanges(db, () => db.saveUserRecordsByUsername('alice', records)), 1);
+
+    records.splice(0, 1);
+    assert.equal(await countChanges(db, () => db.saveUserRecordsByUsername('alice', records)), 1);
+
+    records.push(record('d', 'L4'));
+    assert.equal(await countChanges(db, () => db.saveUserRecordsByUsername('alice', records)), 1);
+
+    assert.equal(await countChanges(db, () => db.saveUserRecordsByUsername('alice', records)), 0);
+    assert.deepEqual(await db.getUserRecordsByUsername('alice'), records);
+  });
+});
+
+test('调整顺序后按新的顺序读取', async () => {
+  await withDatabase(async db => {
+    const records = [record('a', 'L1'), record('b', 'L2'), record('c', 'L3')];
+    await db.saveProjectRecordsById('p1', records);
+    await db.saveProjectRecordsById('p1', [records[2], record('d', 'L4'), records[0]]);
+
+    assert.deepEqual((await db.getProjectRecords()).p1.map(r => r.number), ['L3', 'L4', 'L1']);
+  });
+});
+
+test('旧版按位置存储的记录及历史数据表迁移为按ID存储', async () => {
+  const seed = dataDir => {
+    const legacy = new Database(path.join(dataDir, 'concrete.db'));
+    legacy.exec(`
+      CREATE TABLE records (scope TEXT NOT NULL, position INTEGER NOT NULL, data TEXT NOT NULL, PRIMARY KEY (scope, position));
+      CREATE TABLE history (scope TEXT NOT NULL, position INTEGER NOT NULL, data TEXT NOT NULL, PRIMARY KEY (scope, position));
+    `);
+    const insert = legacy.prepare('INSERT INTO records (scope, position, data) VALUES (?, ?, ?)');
+    insert.run('user:alice', 1, JSON.stringify(record('b', 'L2')));
+    insert.run('user:alice', 0, JSON.stringify(record('a', 'L1')));
+    // 旧版记录没有ID
+    insert.run('user:alice', 2, JSON.stringify({ number: 'L3' }));
+    legacy.prepare('INSERT INTO history (scope, position, data) VALUES (?, ?, ?)')
+      .run('project:p1', 0, JSON.stringify({ id: 1700000000000, name: '一期', records: [] }));
+    legacy.close();
+  };
+
+  await withDatabase(async db => {
+    const columns = db.db.prepare('PRAGMA table_info(records)').all().map(c => c.name);
+    assert.ok(columns.includes('id') && !columns.includes('position'));
+
+    const records = await db.getUserRecordsByUsername('alice');
+    assert.deepEqual(records.map(r => r.number), ['L1', 'L2', 'L3']);
+    assert.deepEqual((await db.getProjectHistory()).p1.map(h => h.name), ['一期']);
+
+    // 分配UUID后替换按位置编号的行
+    records[2] = { ...records[2], id: 'c', version: 1 };
+    await db.saveUserRecordsByUsername('alice', records);
+    assert.deepEqual(db.db.prepare("SELECT id FROM records WHERE scope = 'user:alice' ORDER BY seq").all().map(r => r.id), ['a', 'b', 'c']);
+  }, seed);
+});
+
+test('审计日志保存在 audit_log 表中，支持筛选和分页', async () => {
+  await withDatabase(async db => {
+    await db.appendAuditLog({ id: '1', at: '2025-01-01T00:00:00.000Z', username: 'alice', action: 'record.create' });
+    await db.appendAuditLog({ id: '2', at: '2025-01-02T00:00:00.000Z', username: 'bob', action: 'record.delete' });
+    await db.appendAuditLog({ id: '3', at: '2025-01-03T00:00:00.000Z', username: 'alice', action: 'record.delete' });
+
+    let result = await db.queryAuditLog();
+    assert.equal(result.total, 3);
+    assert.deepEqual(result.entries.map(e => e.id), ['3', '2', '1']);
+
+    result = await db.queryAuditLog({ username: 'alice', actions: ['record.delete'] });
+    assert.deepEqual(result.entries.map(e => e.id), ['3']);
+
+    result = await db.queryAuditLog({ dateFrom: '2025-01-02', offset: 1, limit: 1 });
+    assert.equal(result.total, 2);
+    assert.deepEqual(result.entries.map(e => e.id), ['2']);
+  });
+});
+
+test('首次启动时导入旧的 audit.log 文件', async () => {
+  const seed = dataDir => {
+    const lines = [
+      { id: '1', at: '2025-01-01T00:00:00.000Z', username: 'alice', action: 'record.create' },
+      { id: '2', at: '2025-01-02T00:00:00.000Z', username: 'alice', action: 'record.update' }
+    ];
+    fs.writeFileSync(path.join(dataDir, 'audit.log'), lines.map(line => JSON.stringify(line) + '\n').join(''));
+  };
+
+  await withDatabase(async (db, dataDir) => {
+    assert.deepEqual((await db.queryAuditLog()).entries.map(e => e.id), ['2', '1']);
+
+    // 再次启动时不会重复导入
+    db.close();
+    const reopened = new SqliteDatabase(dataDir);
+    await reopened.initialize();
+    assert.equal((await reopened.queryAuditLog()).total, 2);
+    reopened.close();
+  }, seed);
+});
+
+test('恢复备份后保留恢复前的审计日志', async () => {
+  await withDatabase(async db => {
+    await db.saveUserRecordsByUsername('alice', [record('a', 'L1')]);
+    await db.appendAuditLog({ id: '1', at: '2025-01-01T00:00:00.000Z', username: 'alice', action: 'record.create' });
+    const backupPath = await db.createBackup();
+
+    await db.saveUserRecordsByUsername('alice', [record('a', 'L1'), record('b', 'L2')]);
+    await db.appendAuditLog({ id: '2', at: '2025-01-02T00:00:00.000Z', username: 'alice', action: 'record.create' });
+    await db.restoreBackup(backupPath);
+
+    assert.deepEqual((await db.getUserRecordsByUsername('alice')).map(r => r.number), ['L1']);
+    assert.deepEqual((await db.queryAuditLog()).entries.map(e => e.id), ['2', '1']);
+    await db.appendAuditLog({ id: '3', at: '2025-01-03T00:00:00.000Z', username: 'admin', action: 'backup.restore' });
+    assert.equal((await db.queryAuditLog()).total, 3);
+  });
+});
+
+test('从 JSON 文件迁移时保留回收站数据及登录会话', async () => {
+  const trash = [{ id: 't1', kind: 'records', scope: 'user:alice', reason: 'delete', deletedAt: '2025-01-01T00:00:00.000Z', data: { records: [record('a', 'L1')] } }];
+  const sessions = [{ id: 's1', username: 'alice', expiresAt: '2099-01-01T00:00:00.000Z' }];
+  const seed = dataDir => {
+    fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify([{ username: 'alice', password: 'x' }]));
+    fs.writeFileSync(path.join(dataDir, 'trash.json'), JSON.stringify(trash));
+    fs.writeFileSync(path.join(dataDir, 'sessions.json'), JSON.stringify(sessions));
+  };
+
+  await withDatabase(async db => {
+    assert.deepEqual((await db.getUsers()).map(u => u.username), ['alice']);
+    assert.deepEqual(await db.getTrash(), trash);
+    assert.deepEqual(await db.getSessions(), sessions);
+  }, seed);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const RECORD = { part: '1F', type: '梁', grade: 'C30', number: 'L1', height: 0.5, thick: 0.2, length: 10, count: 1 };
+
+test('删除项目时记录、历史及项目回收站数据移入回收站，可以恢复', async () => {
+  const server = await startServer();
+  try {
+    const adminToken = await server.loginAdmin();
+    const token = await server.createUser(adminToken, 'alice');
+
+    const created = await server.request('POST', '/projects', { token, body: { name: '一号楼' } });
+    assert.equal(created.status, 201);
+    const projectId = created.data.project.id;
+    const headers = { 'X-Project-Id': projectId };
+
+    for (const number of ['L1', 'L2']) {
+      assert.equal((await server.request('POST', '/records', { token, headers, body: { ...RECORD, number } })).status, 201);
+    }
+    const records = (await server.request('GET', '/records', { token, headers })).data;
+    assert.equal((await server.request('POST', '/save', { token, headers, body: { name: '一期', records } })).status, 201);
+    assert.equal((await server.request('DELETE', `/records/${records[1].id}`, { token, headers })).status, 200);
+
+    const removed = await server.request('DELETE', `/projects/${projectId}`, { token });
+    assert.equal(removed.status, 200);
+    assert.equal((await server.request('GET', '/records', { token, headers })).status, 404);
+
+    // 项目回收站中的记录随项目一起移入，回收站中只有一项
+    const trash = await server.request('GET', '/admin/trash?kind=project', { token: adminToken });
+    assert.equal(trash.status, 200);
+    assert.equal(trash.data.items.length, 1);
+    assert.equal(trash.data.items[0].name, '一号楼');
+    assert.equal(trash.data.items[0].recordCount, 1);
+    assert.equal(trash.data.items[0].historyCount, 1);
+    assert.equal((await server.request('GET', '/admin/trash?kind=records', { token: adminToken })).data.items.length, 0);
+
+    const audit = await server.request('GET', '/admin/audit?action=project.delete', { token: adminToken });
+    assert.equal(audit.data.entries.length, 1);
+    assert.equal(audit.data.entries[0].target, projectId);
+    assert.equal(audit.data.entries[0].before.recordCount, 1);
+
+    const restored = await server.request('POST', `/admin/trash/${trash.data.items[0].id}/restore`, { token: adminToken });
+    assert.equal(restored.status, 200, JSON.stringify(restored.data));
+
+    assert.deepEqual((await server.request('GET', '/records', { token, headers })).data.map(r => r.number), ['L1']);
+    assert.deepEqual((await server.request('GET', '/history', { token, headers })).data.map(h => h.name), ['一期']);
+    const projectTrash = await server.request('GET', '/trash', { token, headers });
+    assert.equal(projectTrash.data.items.length, 1);
+    assert.equal(projectTrash.data.items[0].kind, 'records');
+  } finally {
+    await server.stop();
+  }
+});
@@ -1,4 +1,5 @@
 const XLSX = require('xlsx');
+const iconv = require('iconv-lite');
 
 class SecureExcelProcessor {
   constructor() {
@@ -7,8 +8,8 @@ class SecureExcelProcessor {
     this.maxColumns = 100;
   }
 
-  // 安全地读取Excel文件
-  readExcelFile(buffer) {
+  // 安全地读取Excel文件（指定的工作表不存在时读取第一个工作表）
+  readExcelFile(buffer, preferredSheet) {
     try {
       // 检查文件大小
       if (buffer.length > this.maxFileSize) {
@@ -23,8 +24,8 @@ class SecureExcelProcessor {
         cellText: false
       });
 
-      // 获取第一个工作表
-      const sheetName = workbook.SheetNames[0];
+      // 获取工作表
+      const sheetName = workbook.SheetNames.includes(preferredSheet) ? preferredSheet : workbook.SheetNames[0];
       const worksheet = workbook.Sheets[sheetName];
 
       // 转换为JSON
@@ -51,6 +52,109 @@ class SecureExcelProcessor {
     }
   }
 
+  // 解码文本文件：带 BOM 或合法的 UTF-8 按 UTF-8 解码，否则按 GBK 解码
+  decodeText(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+      return buffer.subarray(3).toString('utf8');
+    }
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch {
+      return iconv.decode(buffer, 'gbk');
+    }
+  }
+
+  // 安全地读取CSV文件（自动识别 UTF-8 / GBK 编码）
+  readCsvFile(buffer) {
+    try {
+      if (buffer.length > this.maxFileSize) {
+        throw new Error('文件大小超过限制');
+      }
+
+      const text = this.decodeText(buffer);
+      const rows = [];
+      let row = [];
+      let field = '';
+      let inQuotes = false;
+
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+          if (ch === '"' && text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (ch === '"') {
+            inQuotes = false;
+          } else {
+            field += ch;
+          }
+        } else if (ch === '"' && field === '') {
+          inQuotes = true;
+        } else if (ch === ',') {
+          row.push(field);
+          field = '';
+        } else if (ch === '\n' || ch === '\r') {
+          if (ch === '\r' && text[i + 1] === '\n') i++;
+          row.push(field);
+          rows.push(row);
+          row = [];
+          field = '';
+          if (rows.length > this.maxRows) {
+            throw new Error('数据行数超过限制');
+          }
+        } else {
+          field += ch;
+        }
+      }
+      if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+      }
+
+      if (inQuotes) {
+        throw new Error('引号未闭合');
+      }
+      if (rows.length > this.maxRows) {
+        throw new Error('数据行数超过限制');
+      }
+      const maxCols = Math.max(0, ...rows.map(r => r.length));
+      if (maxCols > this.maxColumns) {
+        throw new Error('数据列数超过限制');
+      }
+
+      // 去掉导出时为防公式注入添加的单引号前缀
+      return rows.map(r => r.map(cell => (/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell)));
+    } catch (error) {
+      console.error('CSV文件读取错误:', error.message);
+      throw new Error('CSV文件读取失败: ' + error.message);
+    }
+  }
+
+  // 生成CSV文件：UTF-8 带 BOM（Excel 可直接打开）或 GBK 编码
+  // 以 = + - @ 开头的文本加单引号前缀，防止在表格软件中被当作公式执行
+  generateCsv(data, encoding = 'utf8') {
+    this.validateData(data);
+
+    const columns = Object.keys(data[0]);
+    const escape = value => {
+      if (value === undefined || value === null) return '';
+      let text = String(value);
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(escape).join(',')];
+    for (const row of data) {
+      lines.push(columns.map(col => escape(row[col])).join(','));
+    }
+    const text = lines.join('\r\n') + '\r\n';
+
+    return encoding === 'gbk'
+      ? iconv.encode(text, 'gbk')
+      : Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text, 'utf8')]);
+  }
+
   // 安全地写入Excel文件
   writeExcelFile(data, sheetName = 'Sheet1') {
     try {
@@ -104,8 +208,110 @@ class SecureExcelProcessor {
     }
   }
 
+  // 生成报表：每个工作表带标题及表头信息（项目、日期、编制人等），
+  // 冻结列标题，设置列宽和数字格式；plain 工作表只包含列标题和数据，便于重新导入
+  // report: { title, info: [[标签, 值]], sheets: [{ name, kind, columns: [{ header, key, width, format }], rows, plain }] }
+  // kind 为 part 的工作表以部位命名，与固定名称的工作表（如可重新导入的明细表）重名时由部位工作表加序号
+  generateReport(report) {
+    try {
+      const workbook = XLSX.utils.book_new();
+      const usedNames = new Set();
+      const sheetNames = new Map();
+      const frozenRows = [];
+
+      for (const sheet of [...report.sheets.filter(s => s.kind !== 'part'), ...report.sheets.filter(s => s.kind === 'part')]) {
+        sheetNames.set(sheet, this.getUniqueSheetName(sheet.name, usedNames));
+      }
+
+      for (const sheet of report.sheets) {
+        this.validateData(sheet.rows);
+
+        const aoa = [];
+        const merges = [];
+        const lastCol = sheet.columns.length - 1;
+
+        if (!sheet.plain) {
+          aoa.push([report.title]);
+          merges.push({ s: { r: 0, c: 0 }, e: { r: 0, c: lastCol } });
+          for (const [label, value] of report.info || []) {
+            aoa.push([label, value]);
+            merges.push({ s: { r: aoa.length - 1, c: 1 }, e: { r: aoa.length - 1, c: lastCol } });
+          }
+          aoa.push([]);
+        }
+
+        const headerRow = aoa.length;
+        aoa.push(sheet.columns.map(col => col.header));
+        for (const row of sheet.rows) {
+          aoa.push(sheet.columns.map(col => (row[col.key] === undefined || row[col.key] === null ? '' : row[col.key])));
+        }
+
+        if (aoa.length > this.maxRows) {
+          throw new Error('数据行数超过限制');
+        }
+
+        const worksheet = XLSX.utils.aoa_to_sheet(aoa);
+        worksheet['!cols'] = sheet.columns.map(col => ({ wch: col.width || 12 }));
+        if (merges.length > 0 && lastCol > 0) {
+          worksheet['!merges'] = merges.filter(m => m.e.c > m.s.c);
+        }
+
+        // 数字格式
+        sheet.columns.forEach((col, c) => {
+          if (!col.format) return;
+          for (let r = headerRow + 1; r < aoa.length; r++) {
+            const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+            if (cell && cell.t === 'n') cell.z = col.format;
+          }
+        });
+
+        XLSX.utils.book_append_sheet(workbook, worksheet, sheetNames.get(sheet));
+        frozenRows.push(headerRow + 1);
+      }
+
+      const buffer = XLSX.write(workbook, {
+        type: 'buffer',
+        bookType: 'xlsx'
+      });
+
+      return this.freezeRows(buffer, frozenRows);
+    } catch (error) {
+      console.error('生成报表错误:', error.message);
+      throw new Error('生成报表失败: ' + error.message);
+    }
+  }
+
+  // 生成合法且不重复的工作表名称（最多31个字符，不能包含 []:*?/\）
+  getUniqueSheetName(name, usedNames) {
+    const base = (String(name).replace(/[\[\]:*?/\\]/g, '_').trim() || 'Sheet').substring(0, 28);
+    let sheetName = base;
+    for (let i = 2; usedNames.has(sheetName.toLowerCase()); i++) {
+      sheetName = `${base}(${i})`;
+    }
+    usedNames.add(sheetName.toLowerCase());
+    return sheetName;
+  }
+
+  // 冻结每个工作表的前若干行（xlsx 社区版不支持写入冻结窗格，直接修改工作表 XML）
+  freezeRows(buffer, frozenRows) {
+    const zip = XLSX.CFB.read(buffer, { type: 'buffer' });
+
+    frozenRows.forEach((rows, i) => {
+      const index = zip.FullPaths.findIndex(p => p.endsWith(`/xl/worksheets/sheet${i + 1}.xml`));
+      if (index === -1 || rows <= 0) return;
+
+      const xml = Buffer.from(zip.FileIndex[index].content).toString('utf8').replace(
+        '<sheetView workbookViewId="0"/>',
+        `<sheetView workbookViewId="0"><pane ySplit="${rows}" topLeftCell="A${rows + 1}" activePane="bottomLeft" state="frozen"/></sheetView>`
+      );
+      XLSX.CFB.utils.cfb_add(zip, `/xl/worksheets/sheet${i + 1}.xml`, Buffer.from(xml, 'utf8'));
+    });
+
+    return XLSX.CFB.write(zip, { fileType: 'zip', type: 'buffer' });
+  }
+
   // 生成安全的文件名
-  generateSafeFilename(baseName) {
+  generateSafeFilename(baseName, extension = 'xlsx') {
     try {
       // 移除危险字符
       const safeName = baseName.replace(/[<>:"/\\|?*]/g, '_');
@@ -117,10 +323,10 @@ class SecureExcelProcessor {
       // 添加时间戳
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
       
-      return `${truncatedName}_${timestamp}.xlsx`;
+      return `${truncatedName}_${timestamp}.${extension}`;
     } catch (error) {
       console.error('生成文件名错误:', error.message);
-      return `export_${Date.now()}.xlsx`;
+      return `export_${Date.now()}.${extension}`;
     }
   }
 